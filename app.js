@@ -1,832 +1,3242 @@
-// DropBeam — app.js
-// PeerJS for signaling, WebRTC for direct P2P transfer
-
-const CHUNK_SIZE = 64 * 1024; // 64KB
-
-// ===== STATE =====
-let peer = null;
-let conn = null;
-let myPeerId = null;
-
-let pendingFiles = [];
-let currentFile = null;
-let sendOffset = 0;
-let isPaused = false;
-let isCancelled = false;
-let transferStartTime = 0;
-
-let incomingMeta = null;
-let incomingChunks = [];
-let incomingReceived = 0;
-
-let transferHistory = [];
-let lastReceivedText = "";
-let activeTransferEl = null;
-
-let deviceName = localStorage.getItem("dropbeam-name") || guessDeviceName();
-let scanInterval = null;
-let videoStream = null;
-
-// ===== START =====
-document.addEventListener("DOMContentLoaded", () => {
-  localStorage.setItem("dropbeam-name", deviceName);
-  document.getElementById("device-name-display").textContent = deviceName;
-  updateDeviceEmoji();
-  initPeer();
-  initBackground();
-
-  document.getElementById("file-input").addEventListener("change", (e) => {
-    addFilesToQueue([...e.target.files]);
-  });
-
-  // Drag and drop
-  const dz = document.getElementById("drop-zone");
-  dz.addEventListener("dragover", (e) => {
-    e.preventDefault();
-    dz.classList.add("drag-over");
-  });
-  dz.addEventListener("dragleave", () => dz.classList.remove("drag-over"));
-  dz.addEventListener("drop", (e) => {
-    e.preventDefault();
-    dz.classList.remove("drag-over");
-    const files = [];
-    const items = [...e.dataTransfer.items];
-    const promises = items.map(item => {
-      if (item.kind === "file") {
-        const entry = item.webkitGetAsEntry?.();
-        if (entry?.isDirectory) return readDir(entry, files);
-        files.push(item.getAsFile());
-      }
-      return Promise.resolve();
-    });
-    Promise.all(promises).then(() => addFilesToQueue(files.filter(Boolean)));
-  });
-
-  // URL se auto join (QR scan ke baad)
-  const params = new URLSearchParams(location.search);
-  const roomFromUrl = params.get("room");
-  if (roomFromUrl) {
-    history.replaceState({}, "", "/");
-    setTimeout(() => joinRoom(roomFromUrl), 1200);
-  }
-});
-
-// ===== PEERJS INIT =====
-function initPeer() {
-  peer = new Peer({
-    host: "0.peerjs.com",
-    port: 443,
-    secure: true,
-    path: "/",
-    config: {
-      iceServers: [
-        { urls: "stun:stun.l.google.com:19302" },
-        { urls: "stun:stun1.l.google.com:19302" },
-        { urls: "stun:stun2.l.google.com:19302" },
-      ]
-    }
-  });
-
-  peer.on("open", (id) => {
-    myPeerId = id;
-    console.log("My Peer ID:", id);
-  });
-
-  // Incoming connection (receiver connects to us)
-  peer.on("connection", (connection) => {
-    conn = connection;
-    setupConnection(conn);
-  });
-
-  peer.on("error", (err) => {
-    console.error("PeerJS error:", err);
-    if (err.type === "peer-unavailable") {
-      showToast("Room not found. Check the ID and try again.");
-    } else if (err.type === "network") {
-      showToast("Network error. Check your internet connection.");
-    } else {
-      showToast("Connection error: " + err.type);
-    }
-  });
-
-  peer.on("disconnected", () => {
-    showToast("Disconnected. Reconnecting...");
-    setTimeout(() => {
-      if (peer && !peer.destroyed) peer.reconnect();
-    }, 2000);
-  });
-}
-
-// ===== CONNECTION SETUP =====
-function setupConnection(connection) {
-  connection.on("open", () => {
-    onPeerConnected();
-    connection.send(JSON.stringify({
-      type: "hello",
-      name: deviceName
-    }));
-  });
-
-  connection.on("data", (data) => {
-    handleData(data);
-  });
-
-  connection.on("close", () => {
-    showToast("Peer disconnected.");
-    setTimeout(() => goHome(), 1500);
-  });
-
-  connection.on("error", (err) => {
-    console.error("Connection error:", err);
-    showToast("Transfer error. Please reconnect.");
-  });
-}
-
-// ===== PEER CONNECTED =====
-function onPeerConnected() {
-  stopCamera();
-  showScreen("transfer");
-  showToast("Connected successfully!");
-}
-
-// ===== DATA HANDLER =====
-function handleData(data) {
-  if (data instanceof ArrayBuffer) {
-    handleChunk(data);
-    return;
-  }
-
-  let msg;
-  try { msg = JSON.parse(data); } catch { return; }
-
-  switch (msg.type) {
-    case "hello":
-      document.getElementById("peer-name-display").textContent = msg.name;
-      document.getElementById("peer-avatar").textContent =
-        /phone|iphone|android/i.test(msg.name) ? "📱" : "💻";
-      break;
-
-    case "file-meta":
-      incomingMeta = msg;
-      document.getElementById("file-request-desc").textContent =
-        `"${msg.name}" (${formatBytes(msg.size)})`;
-      document.getElementById("file-request-modal").classList.remove("hidden");
-      break;
-
-    case "file-accept":
-      startSendingChunks();
-      break;
-
-    case "file-reject":
-      showToast("File was rejected by receiver.");
-      pendingFiles.shift();
-      updateQueueUI();
-      break;
-
-    case "file-done":
-      break;
-
-    case "file-cancel":
-      showToast("Transfer cancelled by sender.");
-      resetIncoming();
-      if (activeTransferEl) {
-        activeTransferEl.remove();
-        activeTransferEl = null;
-      }
-      break;
-
-    case "clipboard":
-      lastReceivedText = msg.text;
-      document.getElementById("received-clipboard").textContent = msg.text;
-      document.getElementById("copy-received-btn").classList.remove("hidden");
-      switchTransferTab("clip");
-      showToast("Text received!");
-      break;
-  }
-}
-
-// ===== SCREEN NAV =====
-function showScreen(name) {
-  document.querySelectorAll(".screen").forEach(s => s.classList.remove("active"));
-  document.getElementById("screen-" + name).classList.add("active");
-}
-
-function goHome() {
-  cleanup();
-  showScreen("home");
-}
-
-function goToSend() {
-  if (!peer) {
-    showToast("Still initializing. Please wait...");
-    return;
-  }
-  if (!myPeerId) {
-    showToast("Connecting to server. Please wait...");
-    setTimeout(goToSend, 1000);
-    return;
-  }
-  showScreen("send");
-  document.getElementById("room-code-display").textContent = myPeerId;
-  generateQR(myPeerId);
-}
-
-function goToReceive() {
-  showScreen("receive");
-  setTimeout(() => startScan(), 400);
-}
-
-// ===== QR CODE =====
-function generateQR(peerId) {
-  const container = document.getElementById("qr-container");
-  container.innerHTML = "";
-  const url = `${location.origin}?room=${peerId}`;
-  new QRCode(container, {
-    text: url,
-    width: 200,
-    height: 200,
-    colorDark: "#000000",
-    colorLight: "#ffffff",
-    correctLevel: QRCode.CorrectLevel.M
-  });
-}
-
-// ===== QR SCANNER =====
-async function startScan() {
-  if (videoStream) {
-    videoStream.getTracks().forEach(t => t.stop());
-  }
-  try {
-    videoStream = await navigator.mediaDevices.getUserMedia({
-      video: { facingMode: "environment" }
-    });
-    const video = document.getElementById("scanner-video");
-    video.srcObject = videoStream;
-    await video.play();
-
-    const canvas = document.getElementById("scanner-canvas");
-    const ctx = canvas.getContext("2d");
-
-    if (scanInterval) clearInterval(scanInterval);
-    scanInterval = setInterval(() => {
-      if (video.readyState !== video.HAVE_ENOUGH_DATA) return;
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      ctx.drawImage(video, 0, 0);
-      const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const code = jsQR(imgData.data, canvas.width, canvas.height);
-      if (code?.data) {
-        const match = code.data.match(/room=([A-Za-z0-9\-]+)/);
-        if (match) {
-          clearInterval(scanInterval);
-          stopCamera();
-          showToast("QR code scanned!");
-          joinRoom(match[1]);
-        }
-      }
-    }, 250);
-  } catch (e) {
-    showToast("Camera not available. Use Enter ID tab.");
-    switchJoinTab("code");
-  }
-}
-
-function stopCamera() {
-  if (videoStream) {
-    videoStream.getTracks().forEach(t => t.stop());
-    videoStream = null;
-  }
-  if (scanInterval) {
-    clearInterval(scanInterval);
-    scanInterval = null;
-  }
-}
-
-function switchJoinTab(tab) {
-  document.getElementById("join-scan").classList.toggle("hidden", tab !== "scan");
-  document.getElementById("join-code").classList.toggle("hidden", tab !== "code");
-  document.getElementById("tab-scan").classList.toggle("active", tab === "scan");
-  document.getElementById("tab-code").classList.toggle("active", tab !== "scan");
-  if (tab === "scan") startScan();
-  else stopCamera();
-}
-
-// ===== JOIN ROOM =====
-function joinByCode() {
-  const input = document.getElementById("peer-id-input");
-  const id = input.value.trim();
-  if (!id) {
-    showToast("Please enter a Room ID.");
-    return;
-  }
-  joinRoom(id);
-}
-
-function joinRoom(peerId) {
-  if (!peer) {
-    showToast("Please wait, still initializing...");
-    return;
-  }
-  showToast("Connecting...");
-  conn = peer.connect(peerId, {
-    reliable: true,
-    serialization: "none"
-  });
-  setupConnection(conn);
-}
-
-// ===== FILE QUEUE =====
-function addFilesToQueue(files) {
-  pendingFiles.push(...files);
-  updateQueueUI();
-}
-
-function updateQueueUI() {
-  const queueEl = document.getElementById("file-queue");
-  const sendBtn = document.getElementById("send-btn");
-  queueEl.innerHTML = "";
-
-  pendingFiles.forEach((f, i) => {
-    const el = document.createElement("div");
-    el.className = "file-item";
-    el.innerHTML = `
-      <div class="file-icon">${getFileEmoji(f.name)}</div>
-      <div class="file-info">
-        <div class="file-name">${escHtml(f.name)}</div>
-        <div class="file-size">${formatBytes(f.size)}</div>
-      </div>
-      <button class="btn btn-ghost small-btn" onclick="removeFile(${i})">✕</button>
-    `;
-    queueEl.appendChild(el);
-  });
-
-  sendBtn.classList.toggle("hidden", pendingFiles.length === 0);
-}
-
-function removeFile(i) {
-  pendingFiles.splice(i, 1);
-  updateQueueUI();
-}
-
-function sendFiles() {
-  if (!pendingFiles.length) return;
-  if (!conn || !conn.open) {
-    showToast("Not connected to any peer.");
-    return;
-  }
-  sendNextFile();
-}
-
-// ===== SENDING =====
-function sendNextFile() {
-  if (!pendingFiles.length) {
-    showToast("All files sent successfully!");
-    return;
-  }
-  currentFile = pendingFiles[0];
-  conn.send(JSON.stringify({
-    type: "file-meta",
-    name: currentFile.name,
-    size: currentFile.size,
-    mime: currentFile.type || "application/octet-stream"
-  }));
-  showToast(`Requesting to send: ${currentFile.name}`);
-}
-
-function startSendingChunks() {
-  if (!currentFile) return;
-  sendOffset = 0;
-  isPaused = false;
-  isCancelled = false;
-  transferStartTime = Date.now();
-  activeTransferEl = makeTransferEl(currentFile.name, currentFile.size, true);
-  document.getElementById("active-transfers").appendChild(activeTransferEl);
-  readAndSend();
-}
-
-function readAndSend() {
-  if (isCancelled) {
-    conn.send(JSON.stringify({ type: "file-cancel" }));
-    resetSending();
-    return;
-  }
-  if (isPaused) {
-    setTimeout(readAndSend, 200);
-    return;
-  }
-  if (sendOffset >= currentFile.size) {
-    conn.send(JSON.stringify({ type: "file-done" }));
-    finalizeSend();
-    return;
-  }
-
-  // Buffer control — don't overflow channel
-  if (conn.dataChannel && conn.dataChannel.bufferedAmount > CHUNK_SIZE * 16) {
-    setTimeout(readAndSend, 50);
-    return;
-  }
-
-  const slice = currentFile.slice(sendOffset, sendOffset + CHUNK_SIZE);
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      conn.send(e.target.result);
-      sendOffset += e.target.result.byteLength;
-      updateProgress(activeTransferEl, sendOffset, currentFile.size);
-      setTimeout(readAndSend, 0);
-    } catch (err) {
-      setTimeout(readAndSend, 500);
-    }
-  };
-  reader.readAsArrayBuffer(slice);
-}
-
-function finalizeSend() {
-  addHistory("📤 Sent", currentFile.name, currentFile.size);
-  showToast(`${currentFile.name} sent successfully!`);
-
-  if (activeTransferEl) {
-    activeTransferEl.querySelector(".progress-fill").style.width = "100%";
-    activeTransferEl.querySelector(".file-size").textContent = "✅ Sent!";
-    setTimeout(() => {
-      activeTransferEl?.remove();
-      activeTransferEl = null;
-    }, 3000);
-  }
-
-  pendingFiles.shift();
-  currentFile = null;
-  updateQueueUI();
-  if (pendingFiles.length) setTimeout(sendNextFile, 500);
-}
-
-function resetSending() {
-  currentFile = null;
-  sendOffset = 0;
-  if (activeTransferEl) {
-    activeTransferEl.remove();
-    activeTransferEl = null;
-  }
-}
-
-// ===== RECEIVING =====
-function handleChunk(chunk) {
-  if (!incomingMeta) return;
-  incomingChunks.push(chunk);
-  incomingReceived += chunk.byteLength;
-  updateProgress(activeTransferEl, incomingReceived, incomingMeta.size);
-
-  if (incomingReceived >= incomingMeta.size) {
-    const blob = new Blob(incomingChunks, { type: incomingMeta.mime });
-    downloadFile(blob, incomingMeta.name);
-    addHistory("📥 Received", incomingMeta.name, incomingMeta.size);
-    showToast(`${incomingMeta.name} received successfully!`);
-
-    if (incomingMeta.mime.startsWith("image/")) showImagePreview(blob);
-
-    if (activeTransferEl) {
-      activeTransferEl.querySelector(".progress-fill").style.width = "100%";
-      activeTransferEl.querySelector(".file-size").textContent = "✅ Received!";
-      setTimeout(() => {
-        activeTransferEl?.remove();
-        activeTransferEl = null;
-      }, 3000);
-    }
-    resetIncoming();
-  }
-}
-
-function resetIncoming() {
-  incomingMeta = null;
-  incomingChunks = [];
-  incomingReceived = 0;
-}
-
-function acceptFile() {
-  document.getElementById("file-request-modal").classList.add("hidden");
-  if (!incomingMeta) return;
-  conn.send(JSON.stringify({ type: "file-accept" }));
-  incomingChunks = [];
-  incomingReceived = 0;
-  transferStartTime = Date.now();
-  activeTransferEl = makeTransferEl(incomingMeta.name, incomingMeta.size, false);
-  document.getElementById("active-transfers").appendChild(activeTransferEl);
-  switchTransferTab("files");
-}
-
-function rejectFile() {
-  document.getElementById("file-request-modal").classList.add("hidden");
-  conn.send(JSON.stringify({ type: "file-reject" }));
-  incomingMeta = null;
-  showToast("File rejected.");
-}
-
-// ===== DOWNLOAD =====
-function downloadFile(blob, name) {
-  const a = document.createElement("a");
-  a.href = URL.createObjectURL(blob);
-  a.download = name;
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => {
-    URL.revokeObjectURL(a.href);
-    a.remove();
-  }, 10000);
-}
-
-// ===== IMAGE PREVIEW =====
-function showImagePreview(blob) {
-  const url = URL.createObjectURL(blob);
-  document.getElementById("preview-img").src = url;
-  document.getElementById("img-preview-modal").classList.remove("hidden");
-}
-
-function closeImagePreview() {
-  document.getElementById("img-preview-modal").classList.add("hidden");
-}
-
-// ===== PROGRESS UI =====
-function makeTransferEl(name, size, isSender) {
-  const el = document.createElement("div");
-  el.className = "file-item";
-  el.style.flexDirection = "column";
-  el.style.alignItems = "flex-start";
-  el.innerHTML = `
-    <div style="display:flex;align-items:center;gap:10px;width:100%">
-      <div class="file-icon">${getFileEmoji(name)}</div>
-      <div class="file-info" style="flex:1">
-        <div class="file-name">${escHtml(name)}</div>
-        <div class="file-size">
-          ${isSender ? "Sending..." : "Receiving..."} · ${formatBytes(size)}
-        </div>
-      </div>
-      ${isSender ? `
-        <button class="btn btn-ghost small-btn"
-          id="pause-btn" onclick="togglePause(this)">⏸</button>
-        <button class="btn btn-ghost small-btn"
-          onclick="cancelTransfer()">✕</button>
-      ` : ""}
-    </div>
-    <div class="progress-wrap" style="width:100%">
-      <div class="progress-fill" style="width:0%"></div>
-    </div>
-    <div class="progress-stats">
-      <span class="pct">0%</span>
-      <span class="spd">—</span>
-      <span class="eta">—</span>
-    </div>
-  `;
-  return el;
-}
-
-function updateProgress(el, received, total) {
-  if (!el) return;
-  const pct = Math.min(100, (received / total) * 100);
-  el.querySelector(".progress-fill").style.width = pct.toFixed(1) + "%";
-  el.querySelector(".pct").textContent = pct.toFixed(0) + "%";
-  const elapsed = (Date.now() - transferStartTime) / 1000 || 0.001;
-  const speed = received / elapsed;
-  const eta = (total - received) / speed;
-  el.querySelector(".spd").textContent = formatSpeed(speed);
-  el.querySelector(".eta").textContent = "ETA: " + formatTime(eta);
-}
-
-function togglePause(btn) {
-  isPaused = !isPaused;
-  btn.textContent = isPaused ? "▶️" : "⏸";
-  showToast(isPaused ? "Transfer paused." : "Transfer resumed.");
-}
-
-function cancelTransfer() {
-  isCancelled = true;
-  showToast("Transfer cancelled.");
-}
-
-// ===== CLIPBOARD =====
-function sendClipboard() {
-  const text = document.getElementById("clipboard-text").value.trim();
-  if (!text) { showToast("Please enter some text first."); return; }
-  if (!conn || !conn.open) { showToast("Not connected to any peer."); return; }
-  conn.send(JSON.stringify({ type: "clipboard", text }));
-  showToast("Text sent successfully!");
-  document.getElementById("clipboard-text").value = "";
-}
-
-function copyReceivedText() {
-  navigator.clipboard.writeText(lastReceivedText)
-    .then(() => showToast("Copied to clipboard!"));
-}
-
-// ===== HISTORY =====
-function addHistory(direction, name, size) {
-  transferHistory.unshift({
-    direction, name, size,
-    time: new Date().toLocaleTimeString()
-  });
-  renderHistory();
-}
-
-function renderHistory() {
-  const el = document.getElementById("transfer-history");
-  if (!transferHistory.length) {
-    el.innerHTML = `<p class="hint">No transfers yet.</p>`;
-    return;
-  }
-  el.innerHTML = transferHistory.map(h => `
-    <div class="history-item">
-      <div style="font-size:1.3rem">${h.direction.split(" ")[0]}</div>
-      <div style="flex:1">
-        <div style="font-size:0.85rem;font-weight:500;
-          white-space:nowrap;overflow:hidden;text-overflow:ellipsis">
-          ${escHtml(h.name)}
-        </div>
-        <div style="font-size:0.72rem;color:var(--text2)">
-          ${h.direction} · ${formatBytes(h.size)} · ${h.time}
-        </div>
-      </div>
-    </div>
-  `).join("");
-}
-
-// ===== TAB SWITCHING =====
-function switchTransferTab(tab) {
-  ["files", "clip", "hist"].forEach(t => {
-    document.getElementById("tcontent-" + t).classList.toggle("hidden", t !== tab);
-    document.getElementById("ttab-" + t).classList.toggle("active", t === tab);
-  });
-}
-
-// ===== MISC =====
-function copyRoomCode() {
-  navigator.clipboard.writeText(myPeerId)
-    .then(() => showToast("Room ID copied! Share it with the receiver."));
-}
-
-function toggleTheme() {
-  const html = document.documentElement;
-  const isLight = html.getAttribute("data-theme") === "light";
-  html.setAttribute("data-theme", isLight ? "dark" : "light");
-  document.querySelector(".theme-btn").textContent = isLight ? "🌙" : "☀️";
-}
-
-function renameDevice() {
-  const name = prompt("Enter new device name:", deviceName);
-  if (name?.trim()) {
-    deviceName = name.trim().slice(0, 24);
-    localStorage.setItem("dropbeam-name", deviceName);
-    document.getElementById("device-name-display").textContent = deviceName;
-    updateDeviceEmoji();
-    showToast("Device renamed to: " + deviceName);
-  }
-}
-
-function updateDeviceEmoji() {
-  const ua = navigator.userAgent;
-  const isMobile = /iPhone|Android.*Mobile|iPad/i.test(ua);
-  document.getElementById("device-emoji").textContent = isMobile ? "📱" : "💻";
-}
-
-function guessDeviceName() {
-  const ua = navigator.userAgent;
-  if (/iPhone/.test(ua)) return "iPhone";
-  if (/iPad/.test(ua)) return "iPad";
-  if (/Android.*Mobile/.test(ua)) return "Android Phone";
-  if (/Android/.test(ua)) return "Android Tablet";
-  if (/Mac/.test(ua)) return "MacBook";
-  if (/Windows/.test(ua)) return "Windows PC";
-  return "My Device";
-}
-
-function disconnect() {
-  cleanup();
-  showScreen("home");
-  showToast("Disconnected.");
-}
-
-function cleanup() {
-  stopCamera();
-  if (conn) { try { conn.close(); } catch {} conn = null; }
-  pendingFiles = [];
-  transferHistory = [];
-  incomingMeta = null;
-  incomingChunks = [];
-}
-
-// ===== TOAST =====
-function showToast(msg, duration = 3000) {
-  const tc = document.getElementById("toast-container");
-  const t = document.createElement("div");
-  t.className = "toast";
-  t.textContent = msg;
-  tc.appendChild(t);
-  setTimeout(() => t.remove(), duration + 400);
-}
-
-// ===== HELPERS =====
-function formatBytes(b) {
-  if (b < 1024) return b + " B";
-  if (b < 1024 ** 2) return (b / 1024).toFixed(1) + " KB";
-  if (b < 1024 ** 3) return (b / 1024 ** 2).toFixed(2) + " MB";
-  return (b / 1024 ** 3).toFixed(2) + " GB";
-}
-
-function formatSpeed(bps) { return formatBytes(bps) + "/s"; }
-
-function formatTime(sec) {
-  if (!isFinite(sec) || sec > 3600) return "calculating...";
-  if (sec < 60) return Math.ceil(sec) + "s";
-  return Math.floor(sec / 60) + "m " + Math.ceil(sec % 60) + "s";
-}
-
-function getFileEmoji(name) {
-  const ext = name.split(".").pop().toLowerCase();
-  const map = {
-    jpg:"🖼️", jpeg:"🖼️", png:"🖼️", gif:"🖼️", webp:"🖼️", svg:"🖼️",
-    mp4:"🎬", mov:"🎬", avi:"🎬", mkv:"🎬",
-    mp3:"🎵", wav:"🎵", flac:"🎵", aac:"🎵",
-    pdf:"📄", doc:"📝", docx:"📝",
-    xls:"📊", xlsx:"📊", csv:"📊",
-    zip:"🗜️", rar:"🗜️", "7z":"🗜️",
-    js:"💻", ts:"💻", py:"💻", html:"💻", css:"💻",
-  };
-  return map[ext] || "📁";
-}
-
-function escHtml(s) {
-  return s
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
-
-async function readDir(entry, files) {
-  const reader = entry.createReader();
-  return new Promise(resolve => {
-    reader.readEntries(async entries => {
-      for (const e of entries) {
-        if (e.isFile) await new Promise(r => e.file(f => { files.push(f); r(); }));
-        else if (e.isDirectory) await readDir(e, files);
-      }
-      resolve();
-    });
-  });
-}
-
-// ===== BACKGROUND ANIMATION =====
-function initBackground() {
-  const canvas = document.getElementById("bg-canvas");
-  const ctx = canvas.getContext("2d");
-  let w, h;
-
-  const resize = () => {
-    w = canvas.width = window.innerWidth;
-    h = canvas.height = window.innerHeight;
-  };
-  resize();
-  window.addEventListener("resize", resize);
-
-  const dots = Array.from({ length: 55 }, () => ({
-    x: Math.random() * window.innerWidth,
-    y: Math.random() * window.innerHeight,
-    vx: (Math.random() - 0.5) * 0.4,
-    vy: (Math.random() - 0.5) * 0.4,
-    r: Math.random() * 1.8 + 0.5,
-  }));
-
-  function draw() {
-    ctx.clearRect(0, 0, w, h);
-    const dark = document.documentElement.getAttribute("data-theme") !== "light";
-    const dotClr = dark ? "rgba(108,99,255,0.7)" : "rgba(108,99,255,0.35)";
-    const lineClr = dark ? "rgba(108,99,255,0.07)" : "rgba(108,99,255,0.05)";
-
-    for (let i = 0; i < dots.length; i++) {
-      const d = dots[i];
-      d.x += d.vx;
-      d.y += d.vy;
-      if (d.x < 0 || d.x > w) d.vx *= -1;
-      if (d.y < 0 || d.y > h) d.vy *= -1;
-
-      ctx.beginPath();
-      ctx.arc(d.x, d.y, d.r, 0, Math.PI * 2);
-      ctx.fillStyle = dotClr;
-      ctx.fill();
-
-      for (let j = i + 1; j < dots.length; j++) {
-        const q = dots[j];
-        const dx = d.x - q.x;
-        const dy = d.y - q.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < 140) {
-          ctx.beginPath();
-          ctx.moveTo(d.x, d.y);
-          ctx.lineTo(q.x, q.y);
-          ctx.strokeStyle = lineClr;
-          ctx.lineWidth = 1;
-          ctx.stroke();
-        }
-      }
-    }
-    requestAnimationFrame(draw);
-  }
-  draw();
+// DropBeam — app.js
+// PeerJS for signaling, WebRTC for direct P2P transfer
+
+// Nearby discovery (opt-in, needs server/server.js)
+const PRESENCE_RETRY = 5000;
+const KNOCK_TIMEOUT = 30 * 1000;
+
+// Diagnostics panel: getStats() sampling rate, graph length, event log size
+const DIAG_INTERVAL = 1000;
+const DIAG_SAMPLES = 60;
+const DIAG_EVENTS = 30;
+
+const DEFAULT_CONFIG = {
+  host: "0.peerjs.com",
+  port: 443,
+  secure: true,
+  path: "/",
+  key: "peerjs",
+  iceServers: [
+    { urls: "stun:stun.l.google.com:19302" },
+    { urls: "stun:stun1.l.google.com:19302" },
+    { urls: "stun:stun2.l.google.com:19302" },
+  ],
+  // Room codes: "pin" (6 digits) or "words" (three from ROOM_WORDS)
+  codeStyle: "pin",
+  codeExpiry: 10, // minutes
+  // Larger files are turned away before they're sent; 0 takes any size
+  maxFileSize: 0 // MB
+};
+
+// Offers carry a small preview of each file: a JPEG thumbnail for images,
+// videos and PDFs, the first lines of text files
+const THUMB_SIZE = 160;
+const THUMB_QUALITY = 0.7;
+const THUMB_MAX_LENGTH = 48 * 1024;
+const PREVIEW_MAX_FILES = 24;
+const PREVIEW_MAX_SIZE = 50 * 1024 * 1024;
+const PREVIEW_TIMEOUT = 4000;
+const SNIPPET_BYTES = 2048;
+const SNIPPET_LINES = 12;
+// Received text files show at most this much in the viewer
+const VIEWER_TEXT_BYTES = 256 * 1024;
+const PDFJS_WORKER = "vendor/pdf.worker-3.11.174.min.js";
+
+// Pasted images travel as JSON parts small enough for any data channel
+const CLIP_PART_SIZE = 32 * 1024;
+const CLIP_MAX_IMAGE = 20 * 1024 * 1024;
+const CLIP_MAX_HTML = 200 * 1024;
+const CLIP_HISTORY_MAX = 50;
+const CLIP_SYNC_INTERVAL = 1500;
+// An image whose parts stop coming is given up on after this
+const CLIP_PART_TIMEOUT = 60 * 1000;
+
+// What an in-memory receive (see openMemorySink) may hold: a quarter of the
+// device's RAM, where the browser tells
+const MEMORY_SINK_MAX = (navigator.deviceMemory || 4) * 1024 ** 3 / 4;
+
+// Chat: how often "typing" is re-sent while typing, and how long the
+// indicator lasts without a refresh
+const TYPING_INTERVAL = 3000;
+const TYPING_TIMEOUT = 5000;
+
+// Everything kept across visits lives in this IndexedDB database
+const DB_NAME = "dropbeam";
+const DB_VERSION = 2;
+const DB_STORES = ["history", "identity"];
+
+const HISTORY_COLUMNS = ["time", "direction", "outcome", "peer", "name", "size", "duration", "speed", "hash"];
+
+// Room codes are registered as PeerJS IDs under this prefix
+const ROOM_PREFIX = "dropbeam-";
+const ROOM_CODE_ATTEMPTS = 5;
+
+// ===== STATE =====
+let peer = null;
+let myPeerId = null;
+
+// A second peer registered under the short room code, so the code can expire
+// (or be replaced) without dropping anyone who already joined
+let roomPeer = null;
+let roomCode = null;
+let roomExpires = 0;
+let roomTimer = null;
+
+// Optional room passphrase, never persisted or put in links. When set, every
+// message is sealed with a key derived from it (see seal in engine.js).
+let roomPassphrase = "";
+// Sessions whose verification code the user still has to compare
+let verifyQueue = [];
+
+// The transfer protocol (engine.js). The UI follows it through its events
+// (see ENGINE EVENTS) and reads its sessions and transfers; each transfer
+// on screen also carries its progress card as `el`.
+const engine = createEngine({
+  name: () => deviceName,
+  passphrase: () => roomPassphrase,
+  identity: getIdentity,
+  isTrusted: (id) => !!trustedDevice(id),
+  peerId: () => myPeerId,
+  dial,
+  checkFile,
+  openSink: openReceiveSink
+});
+const { sessions, suspendedSessions, transfers, failedTransfers } = engine;
+
+// Files picked in the UI, not yet handed to any session
+let pendingFiles = [];
+// Where files dropped inside folders sit in the tree: File -> "dir/sub/name"
+let filePaths = new WeakMap();
+
+// The batch manifest shown in the request dialog: { session, manifest }
+let incomingManifest = null;
+
+// Newest first; mirrors the "history" store (see logTransfer)
+let transferHistory = [];
+
+// Clipboard tab: rich parts of what was pasted ({ html, htmlText, image }),
+// received items newest first ({ id, from, time, text, html, image, url }),
+// and images still arriving in parts (clip ID -> { session, msg, parts, count, timer })
+let clipDraft = { html: null, htmlText: null, image: null };
+let clipboardHistory = [];
+let incomingClips = new Map();
+// Diagnostics: sampling timer while the panel is open, the device it shows,
+// and recent connection events ({ time, text }, newest last)
+let diagTimer = null;
+let diagPeerId = null;
+let diagEvents = [];
+// File -> promise of its offer preview, so every device gets the same one
+const previewCache = new WeakMap();
+let previewUrl = null;
+// Chat thread, oldest first: { id, kind: "in"|"out"|"system", text, time,
+// from, session } plus, for our own messages, the session IDs that
+// acknowledged it ({ targets, delivered, read } sets)
+let chatMessages = [];
+let chatUnread = 0;
+let typingSentAt = 0;
+let typingStopTimer = null;
+// Live sync polls the system clipboard and sends what changed
+let clipSyncTimer = null;
+let clipSyncBusy = false;
+let clipSyncSkip = false;
+let lastClipSignature = null;
+
+let deviceName = localStorage.getItem("dropbeam-name") || guessDeviceName();
+let scanInterval = null;
+let videoStream = null;
+let swRegistration = null;
+// Nearby discovery: the presence socket, who it lists, the device we asked
+// to connect (peer ID) and the request we're showing ({ from, timer })
+let presenceSocket = null;
+let presenceRetry = null;
+let presenceStatus = "";
+let nearbyDevices = [];
+let outgoingKnock = null;
+let incomingKnock = null;
+// Deferred `beforeinstallprompt`, for the header's install button
+let installPrompt = null;
+let dbPromise = null;
+
+// This device's signing key pair, created once and kept in IndexedDB:
+// { id: "device", privateKey, publicKey, spki (base64) } (see getIdentity)
+let identityPromise = null;
+// Devices the user trusts: [{ id, name, key (base64 SPKI), added }]
+let trustedDevices = loadList("dropbeam-trusted");
+// Auto-accept / always-reject rules, see ruleAction
+let fileRules = loadList("dropbeam-rules");
+
+// Effective signaling/ICE config and the sources it was merged from
+let appConfig = { ...DEFAULT_CONFIG };
+let fileConfig = {};
+let urlConfig = {};
+
+// ===== START =====
+document.addEventListener("DOMContentLoaded", () => {
+  localStorage.setItem("dropbeam-name", deviceName);
+  document.getElementById("device-name-display").textContent = deviceName;
+  updateDeviceEmoji();
+  initBackground();
+  registerServiceWorker();
+  loadHistory();
+  renderNearby();
+
+  document.getElementById("file-input").addEventListener("change", (e) => {
+    addFilesToQueue([...e.target.files]);
+  });
+  document.getElementById("clipboard-text").addEventListener("paste", onClipboardPaste);
+  window.addEventListener("focus", () => { if (clipSyncTimer) pollClipboard(); });
+  window.addEventListener("focus", markChatRead);
+  document.addEventListener("visibilitychange", markChatRead);
+  const chatInput = document.getElementById("chat-input");
+  chatInput.addEventListener("input", onChatInput);
+  chatInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      sendChat();
+    }
+  });
+
+  // Drag and drop
+  const dz = document.getElementById("drop-zone");
+  dz.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    dz.classList.add("drag-over");
+  });
+  dz.addEventListener("dragleave", () => dz.classList.remove("drag-over"));
+  dz.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dz.classList.remove("drag-over");
+    const files = [];
+    const items = [...e.dataTransfer.items];
+    const promises = items.map(item => {
+      if (item.kind === "file") {
+        const entry = item.webkitGetAsEntry?.();
+        if (entry?.isDirectory) return readDir(entry, files);
+        files.push(item.getAsFile());
+      }
+      return Promise.resolve();
+    });
+    Promise.all(promises).then(() => addFilesToQueue(files.filter(Boolean)));
+  });
+
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    installPrompt = e;
+    document.getElementById("install-btn").classList.remove("hidden");
+  });
+  window.addEventListener("appinstalled", () => {
+    installPrompt = null;
+    document.getElementById("install-btn").classList.add("hidden");
+  });
+
+  // URL se auto join (QR scan ke baad)
+  const params = new URLSearchParams(location.search);
+  const roomFromUrl = params.get("room");
+  // Set by the service worker after "Share → DropBeam"
+  const shareId = params.get("share");
+  urlConfig = configFromParams(params);
+  if (roomFromUrl) {
+    history.replaceState({}, "", "/");
+    setTimeout(() => joinRoom(normalizeRoomCode(roomFromUrl)), 1200);
+  }
+  if (shareId) history.replaceState({}, "", location.pathname);
+
+  loadConfig().then(initPeer).then(() => {
+    if (shareId) receiveShared(shareId);
+  });
+});
+
+// ===== CONFIG =====
+// Signaling host/port/path and ICE (STUN/TURN) servers. Later sources win:
+// defaults < config.json < settings panel < URL params.
+async function loadConfig() {
+  try {
+    const res = await fetch("config.json", { cache: "no-store" });
+    if (res.ok) fileConfig = await res.json();
+  } catch {}
+  appConfig = { ...DEFAULT_CONFIG, ...fileConfig, ...savedConfig(), ...urlConfig };
+}
+
+function savedConfig() {
+  try {
+    return JSON.parse(localStorage.getItem("dropbeam-config")) || {};
+  } catch {
+    return {};
+  }
+}
+
+// ?signal=host[:port][/path]&secure=0|1&key=...&ice=url,url
+// Links never carry TURN credentials, so TURN servers aren't taken from them.
+function configFromParams(params) {
+  const cfg = {};
+  if (params.has("secure")) cfg.secure = params.get("secure") !== "0";
+  const signal = params.get("signal")?.match(/^([^:/]+)(?::(\d+))?(\/.*)?$/);
+  if (signal) {
+    cfg.host = signal[1];
+    cfg.port = signal[2] ? Number(signal[2]) : (cfg.secure === false ? 80 : 443);
+    if (signal[3]) cfg.path = signal[3];
+  }
+  if (params.get("key")) cfg.key = params.get("key");
+  if (params.get("ice")) {
+    cfg.iceServers = params.get("ice").split(",")
+      .filter(urls => !/^turns?:/.test(urls))
+      .map(urls => ({ urls }));
+  }
+  return cfg;
+}
+
+// Inverse of configFromParams for whatever differs from the defaults, so a
+// QR code carries the room's signaling setup to the joining device. Servers
+// that need credentials are left out: a QR code is easily photographed.
+function configToParams(cfg) {
+  const params = new URLSearchParams();
+  if (cfg.host !== DEFAULT_CONFIG.host || cfg.port !== DEFAULT_CONFIG.port ||
+      cfg.path !== DEFAULT_CONFIG.path) {
+    params.set("signal", `${cfg.host}:${cfg.port}${cfg.path}`);
+  }
+  if (cfg.secure !== DEFAULT_CONFIG.secure) params.set("secure", cfg.secure ? "1" : "0");
+  if (cfg.key !== DEFAULT_CONFIG.key) params.set("key", cfg.key);
+  if (JSON.stringify(cfg.iceServers) !== JSON.stringify(DEFAULT_CONFIG.iceServers)) {
+    params.set("ice", cfg.iceServers.filter(s => !s.username).map(s => s.urls).join(","));
+  }
+  return params;
+}
+
+// One server per line: "url [username credential]"
+function parseIceLines(text) {
+  return text.split("\n").map(l => l.trim()).filter(Boolean).map(line => {
+    const [urls, username, credential] = line.split(/\s+/);
+    return username ? { urls, username, credential: credential || "" } : { urls };
+  });
+}
+
+function openSettings() {
+  document.getElementById("cfg-host").value = appConfig.host;
+  document.getElementById("cfg-port").value = appConfig.port;
+  document.getElementById("cfg-path").value = appConfig.path;
+  document.getElementById("cfg-key").value = appConfig.key;
+  document.getElementById("cfg-secure").checked = appConfig.secure;
+  document.getElementById("cfg-ice").value = appConfig.iceServers
+    .map(s => [s.urls, s.username, s.credential].filter(Boolean).join(" "))
+    .join("\n");
+  document.getElementById("cfg-code-style").value = appConfig.codeStyle;
+  document.getElementById("cfg-code-expiry").value = appConfig.codeExpiry;
+  document.getElementById("cfg-max-size").value = appConfig.maxFileSize || "";
+  document.getElementById("settings-modal").classList.remove("hidden");
+}
+
+function closeSettings() {
+  document.getElementById("settings-modal").classList.add("hidden");
+}
+
+function saveSettings() {
+  const host = document.getElementById("cfg-host").value.trim();
+  const port = Number(document.getElementById("cfg-port").value);
+  if (!host || !Number.isInteger(port) || port <= 0 || port > 65535) {
+    showToast("Please enter a valid host and port.");
+    return;
+  }
+  const codeExpiry = Number(document.getElementById("cfg-code-expiry").value);
+  if (!Number.isInteger(codeExpiry) || codeExpiry < 1 || codeExpiry > 1440) {
+    showToast("Code expiry must be between 1 and 1440 minutes.");
+    return;
+  }
+  const maxFileSize = Number(document.getElementById("cfg-max-size").value);
+  if (!(maxFileSize >= 0)) {
+    showToast("Please enter a valid size limit.");
+    return;
+  }
+  const cfg = {
+    host,
+    port,
+    path: document.getElementById("cfg-path").value.trim() || "/",
+    key: document.getElementById("cfg-key").value.trim() || "peerjs",
+    secure: document.getElementById("cfg-secure").checked,
+    iceServers: parseIceLines(document.getElementById("cfg-ice").value),
+    codeStyle: document.getElementById("cfg-code-style").value,
+    codeExpiry,
+    maxFileSize
+  };
+  if (!applyConfig(cfg)) return;
+  closeSettings();
+  showToast("Settings saved.");
+}
+
+function resetSettings() {
+  if (!applyConfig(null)) return;
+  closeSettings();
+  showToast("Settings reset to defaults.");
+}
+
+// `saved` is the settings panel's config, or null to drop it. Re-creates the
+// PeerJS peer if the servers changed. Returns false if the user chose to keep
+// their current connections instead.
+function applyConfig(saved) {
+  const next = { ...DEFAULT_CONFIG, ...fileConfig, ...saved };
+  const serversChanged = signalingKey(next) !== signalingKey(appConfig);
+  if (serversChanged && sessions.size &&
+      !confirm("Changing servers disconnects all devices. Continue?")) {
+    return false;
+  }
+  if (saved) localStorage.setItem("dropbeam-config", JSON.stringify(saved));
+  else localStorage.removeItem("dropbeam-config");
+  // Explicit settings beat whatever the page was opened with
+  urlConfig = {};
+  const roomChanged = next.codeStyle !== appConfig.codeStyle ||
+    next.codeExpiry !== appConfig.codeExpiry;
+  appConfig = next;
+  if (!serversChanged) {
+    // Code style or expiry: the next room picks them up
+    if (roomChanged) closeRoom();
+    return true;
+  }
+  restartPeer();
+  return true;
+}
+
+// Other servers need a new PeerJS peer; every device is dropped
+function restartPeer() {
+  closeRoom(true);
+  engine.forget();
+  cleanup();
+  showScreen("home");
+  peer?.destroy();
+  peer = null;
+  myPeerId = null;
+  initPeer();
+}
+
+// The parts of the config that need a new PeerJS peer when they change
+function signalingKey(cfg) {
+  const { host, port, secure, path, key, iceServers } = cfg;
+  return JSON.stringify([host, port, secure, path, key, iceServers]);
+}
+
+// ===== PEERJS INIT =====
+function peerOptions() {
+  return {
+    host: appConfig.host,
+    port: appConfig.port,
+    secure: appConfig.secure,
+    path: appConfig.path,
+    key: appConfig.key,
+    config: { iceServers: appConfig.iceServers }
+  };
+}
+
+function initPeer() {
+  peer = new Peer(peerOptions());
+
+  peer.on("open", (id) => {
+    myPeerId = id;
+    console.log("My Peer ID:", id);
+    connectPresence();
+  });
+
+  // Incoming connection (receiver connects to us)
+  peer.on("connection", (connection) => {
+    setupConnection(connection);
+  });
+
+  peer.on("error", onPeerError);
+
+  peer.on("disconnected", () => {
+    logDiag("Lost the signaling server, reconnecting");
+    showToast("Disconnected. Reconnecting...");
+    setTimeout(() => {
+      if (peer && !peer.destroyed) peer.reconnect();
+    }, 2000);
+  });
+}
+
+function onPeerError(err) {
+  console.error("PeerJS error:", err);
+  logDiag(`Signaling error: ${err.type}${err.message ? ` (${err.message})` : ""}`);
+  // Redialing a dropped device fails like this until it's back online
+  if (err.type === "peer-unavailable" && suspendedSessions.size) return;
+  if (err.type === "peer-unavailable") {
+    showToast("Room not found. Check the code and try again.");
+  } else if (err.type === "network") {
+    showToast("Network error. Check your internet connection.");
+  } else {
+    showToast("Connection error: " + err.type);
+  }
+}
+
+// ===== ROOM CODES =====
+// Hosting a room registers a short code as a custom PeerJS ID: a 6-digit PIN
+// ("482 913") or three words ("maple river owl"). Codes are random, so on a
+// shared server one may already be taken; we just draw another.
+function makeRoomCode() {
+  if (appConfig.codeStyle === "words") {
+    const picks = crypto.getRandomValues(new Uint8Array(3));
+    return [...picks].map(i => ROOM_WORDS[i]).join(" ");
+  }
+  const n = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+  const pin = String(n).padStart(6, "0");
+  return `${pin.slice(0, 3)} ${pin.slice(3)}`;
+}
+
+function roomPeerId(code) {
+  return ROOM_PREFIX + code.replace(/ /g, /^\d/.test(code) ? "" : "-");
+}
+
+// Whatever was typed, pasted or scanned -> the PeerJS ID to dial. Accepts
+// "482913", "482 913", "Maple-River owl", a room link, or a raw peer ID.
+function normalizeRoomCode(input) {
+  let code = input.trim();
+  const link = code.match(/[?&]room=([^&#\s]+)/);
+  if (link) code = decodeURIComponent(link[1]);
+  const bare = code.toLowerCase().replace(ROOM_PREFIX, "");
+  const digits = bare.replace(/[\s.-]/g, "");
+  if (/^\d{6}$/.test(digits)) return ROOM_PREFIX + digits;
+  const words = bare.split(/[^a-z]+/).filter(Boolean);
+  if (words.length === 3 && words.every(w => ROOM_WORDS.includes(w))) {
+    return ROOM_PREFIX + words.join("-");
+  }
+  return code;
+}
+
+function openRoom(attempt = 1) {
+  const code = makeRoomCode();
+  const p = new Peer(roomPeerId(code), peerOptions());
+  roomPeer = p;
+  roomCode = null;
+  showRoomCode();
+
+  p.on("open", () => {
+    if (roomPeer !== p) return;
+    roomCode = code;
+    roomExpires = Date.now() + appConfig.codeExpiry * 60 * 1000;
+    clearInterval(roomTimer);
+    roomTimer = setInterval(tickRoomExpiry, 1000);
+    showRoomCode();
+  });
+
+  p.on("connection", (connection) => {
+    setupConnection(connection);
+  });
+
+  p.on("error", (err) => {
+    if (err.type !== "unavailable-id") {
+      onPeerError(err);
+      return;
+    }
+    p.destroy();
+    if (roomPeer !== p) return;
+    roomPeer = null;
+    if (attempt < ROOM_CODE_ATTEMPTS) {
+      openRoom(attempt + 1);
+      return;
+    }
+    showToast("Couldn't get a free room code. Please try again.");
+    document.getElementById("room-code-display").textContent = "Unavailable";
+    document.getElementById("new-code-btn").classList.remove("hidden");
+  });
+
+  p.on("disconnected", () => {
+    setTimeout(() => {
+      if (roomPeer === p && !p.destroyed) p.reconnect();
+    }, 2000);
+  });
+}
+
+// Stops taking new joins under the current code. Devices that already joined
+// stay connected unless `destroy` is set.
+function closeRoom(destroy = false) {
+  clearInterval(roomTimer);
+  roomTimer = null;
+  const p = roomPeer;
+  roomPeer = null;
+  roomCode = null;
+  if (!p) return;
+  if (destroy) p.destroy();
+  else p.disconnect();
+}
+
+function tickRoomExpiry() {
+  const left = Math.ceil((roomExpires - Date.now()) / 1000);
+  if (left > 0) {
+    const min = Math.floor(left / 60);
+    document.getElementById("room-expiry").textContent =
+      `Expires in ${min}:${String(left % 60).padStart(2, "0")}`;
+    return;
+  }
+  closeRoom();
+  showRoomCode();
+}
+
+function newRoomCode() {
+  closeRoom();
+  openRoom();
+}
+
+function showRoomCode() {
+  const expired = !roomPeer;
+  document.getElementById("room-code-display").textContent =
+    roomCode || (expired ? "Expired" : "Connecting...");
+  document.getElementById("new-code-btn").classList.toggle("hidden", !expired);
+  document.getElementById("room-expiry").textContent = expired
+    ? "This code has expired. Get a new one to let more devices join."
+    : "";
+  if (roomCode) {
+    generateQR(roomPeerId(roomCode));
+    tickRoomExpiry();
+  } else {
+    document.getElementById("qr-container").innerHTML = "";
+  }
+}
+
+// ===== CONNECTION SETUP =====
+function setupConnection(connection) {
+  watchIce(connection);
+  engine.connect(connection);
+}
+
+// Joining a room, and the engine redialing a dropped device. Null while
+// we're off the signaling server, where PeerJS can't dial.
+function dial(peerId) {
+  if (!peer || peer.disconnected) return null;
+  const connection = peer.connect(peerId, {
+    reliable: true,
+    serialization: "raw"
+  });
+  watchIce(connection);
+  return connection;
+}
+
+function watchIce(connection) {
+  const pc = connection.peerConnection;
+  pc?.addEventListener("iceconnectionstatechange", () => {
+    logDiag(`ICE ${pc.iceConnectionState} with ${sessions.get(connection.peer)?.name || connection.peer}`);
+  });
+}
+
+// ===== ENGINE EVENTS =====
+engine
+  .on("verify", askVerification)
+  .on("trusted", onTrusted)
+  .on("ready", onPeerConnected)
+  .on("offer", receiveManifest)
+  .on("send", showTransfer)
+  .on("accept", (t, offset) => {
+    showTransfer(t, offset);
+    switchTransferTab("files");
+  })
+  .on("progress", updateProgress)
+  .on("pause", showPaused)
+  .on("verifying", (t) => setTransferStatus(t.el, "🔍 Verifying..."))
+  .on("done", onTransferDone)
+  .on("error", (t) => { if (t.bad) showRepair(t); })
+  .on("message", handleMessage)
+  .on("notice", (text) => showToast(text))
+  .on("drop", onPeerDropped)
+  .on("disconnect", onPeerDisconnected)
+  .on("connection-error", (session, err) => {
+    logDiag(`Connection error: ${err.type || err.name || "unknown"}${err.message ? ` (${err.message})` : ""}`);
+    showToast("Transfer error. Please reconnect. 📶 has the details.");
+  });
+
+// Unless the device left on purpose, the engine tries to get it back: the
+// transfer screen stays, with its queue, clipboard and history, and shows
+// it as reconnecting (see renderPeers)
+function onPeerDisconnected(session) {
+  closeVerification(session);
+  // The sender re-sends unanswered manifests after reconnecting
+  if (incomingManifest?.session === session) closeManifest();
+  dropIncomingClips(session);
+  transfers.forEach(t => {
+    if (t.session !== session) return;
+    t.el?.remove();
+    t.el = null;
+  });
+  renderPeers();
+  if (suspendedSessions.has(session.id)) {
+    logDiag(`${session.name} disconnected, reconnecting`);
+    showToast(session.dialed
+      ? `Lost ${session.name}. Reconnecting...`
+      : `Lost ${session.name}. Waiting for it to reconnect...`);
+    return;
+  }
+  logDiag(`${session.name} disconnected`);
+  showToast(`${session.name} disconnected.`);
+  setTimeout(() => { if (!sessions.size && !suspendedSessions.size) goHome(); }, 1500);
+}
+
+// ===== SESSIONS =====
+// Sessions that finished the handshake and can transfer
+function openSessions() {
+  return [...sessions.values()].filter(s => s.ready && isOpen(s));
+}
+
+function renderPeers() {
+  const connected = [...sessions.values()].filter(s => s.ready);
+  const lost = [...suspendedSessions.values()];
+  const list = [...connected, ...lost];
+  // Built afresh for each list they go in, so each chip gets its own handler
+  const chips = () => list.map(s => {
+    const chip = document.createElement("div");
+    chip.className = `peer-chip${lost.includes(s) ? " reconnecting" : ""}`;
+    chip.innerHTML = `
+      <span>${peerEmoji(s.name)}</span>
+      <span>${escHtml(s.name)}</span>
+      <button class="chip-x">✕</button>
+    `;
+    onClick(chip, ".chip-x", () => dropPeer(s.id));
+    return chip;
+  });
+
+  // Send screen: who has joined the room so far
+  document.getElementById("room-peers").classList.toggle("hidden", !list.length);
+  document.getElementById("room-peer-list").replaceChildren(...chips());
+  document.getElementById("waiting-status").textContent = connected.length
+    ? `${connected.length} device${connected.length > 1 ? "s" : ""} connected`
+    : "Waiting for receiver...";
+
+  document.getElementById("connected-badge").classList.toggle("reconnecting", lost.length > 0);
+  document.getElementById("connected-text").textContent = lost.length
+    ? `Reconnecting to ${lost.map(s => s.name).join(", ")}...`
+    : "Connected via P2P";
+
+  // Transfer screen: single peer keeps the old look, rooms get chips
+  const chipsEl = document.getElementById("peer-chips");
+  chipsEl.classList.toggle("hidden", list.length < 2);
+  chipsEl.replaceChildren(...chips());
+  if (list.length > 1) {
+    document.getElementById("peer-name-display").textContent = `${list.length} devices`;
+    document.getElementById("peer-avatar").textContent = "👥";
+  } else if (list.length === 1) {
+    document.getElementById("peer-name-display").textContent = list[0].name;
+    document.getElementById("peer-avatar").textContent = peerEmoji(list[0].name);
+  }
+}
+
+// Removes one device from the room without touching the others, or stops
+// waiting for one that's reconnecting
+function dropPeer(id, notice) {
+  const session = sessions.get(id) || suspendedSessions.get(id);
+  if (session) engine.drop(session, notice);
+}
+
+function onPeerDropped(session, notice) {
+  closeVerification(session);
+  if (incomingManifest?.session === session) closeManifest();
+  dropIncomingClips(session);
+  renderPeers();
+  showToast(notice || `${session.name} removed.`, notice ? 5000 : 3000);
+  if (!sessions.size && !suspendedSessions.size) goHome();
+}
+
+// ===== VERIFICATION =====
+// The engine asks for a code comparison unless the device is trusted
+function askVerification(session) {
+  if (!verifyQueue.includes(session)) verifyQueue.push(session);
+  if (verifyQueue[0] === session) showVerification();
+}
+
+function showVerification() {
+  const session = verifyQueue[0];
+  const modal = document.getElementById("verify-modal");
+  modal.classList.toggle("hidden", !session);
+  if (!session) return;
+  document.getElementById("verify-trust").checked = false;
+  document.getElementById("verify-title").textContent = `Verify ${session.name}`;
+  document.getElementById("verify-code").innerHTML = session.code.map(([emoji, name]) => `
+    <div class="verify-symbol">
+      <span class="verify-emoji">${emoji}</span>
+      <span class="verify-name">${name}</span>
+    </div>
+  `).join("");
+  document.getElementById("verify-secured").classList.toggle("hidden", !session.key);
+}
+
+function confirmVerification() {
+  const session = verifyQueue.shift();
+  const trust = document.getElementById("verify-trust").checked;
+  showVerification();
+  if (!session || !isOpen(session)) return;
+  if (trust) trustDevice(session);
+  engine.confirm(session);
+}
+
+function rejectVerification() {
+  const session = verifyQueue[0];
+  if (!session) return;
+  dropPeer(session.id, `Codes didn't match — disconnected from ${session.name}.`);
+}
+
+function closeVerification(session) {
+  const first = verifyQueue[0] === session;
+  verifyQueue = verifyQueue.filter(s => s !== session);
+  if (first) showVerification();
+}
+
+// ===== DEVICE IDENTITY =====
+// This device's signing key, created on first use (see DEVICE IDENTITY in
+// engine.js for what it proves)
+function getIdentity() {
+  identityPromise ||= (async () => {
+    try {
+      const saved = await dbRun("identity", "readonly", store => store.get("device"));
+      if (saved) return saved;
+    } catch (err) {
+      console.warn("Identity storage unavailable:", err);
+    }
+    const pair = await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: "P-256" }, false, ["sign", "verify"]);
+    const spki = toBase64(new Uint8Array(await crypto.subtle.exportKey("spki", pair.publicKey)));
+    const identity = { id: "device", privateKey: pair.privateKey, publicKey: pair.publicKey, spki };
+    // Without storage the identity only lasts until the page closes
+    await dbRun("identity", "readwrite", store => store.put(identity)).catch(() => {});
+    return identity;
+  })();
+  return identityPromise;
+}
+
+// ===== TRUSTED DEVICES =====
+function loadList(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveList(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+}
+
+function trustedDevice(id) {
+  return id ? trustedDevices.find(d => d.id === id) : null;
+}
+
+function trustDevice(session) {
+  if (!session.identified) {
+    showToast(`Couldn't confirm ${session.name}'s identity, so it wasn't added as trusted.`);
+    return;
+  }
+  if (trustedDevice(session.deviceId)) return;
+  trustedDevices.push({
+    id: session.deviceId,
+    name: session.name,
+    key: session.peerSpki,
+    added: Date.now()
+  });
+  saveList("dropbeam-trusted", trustedDevices);
+  session.trusted = true;
+  showToast(`${session.name} is now a trusted device.`);
+}
+
+// A trusted device proved itself; keep the name it goes by now
+function onTrusted(session) {
+  const known = trustedDevice(session.deviceId);
+  if (known.name === session.name) return;
+  known.name = session.name;
+  saveList("dropbeam-trusted", trustedDevices);
+}
+
+function revokeDevice(id) {
+  const device = trustedDevice(id);
+  if (!device || !confirm(`Stop trusting ${device.name}?`)) return;
+  trustedDevices = trustedDevices.filter(d => d.id !== id);
+  fileRules = fileRules.filter(r => r.device !== id);
+  saveList("dropbeam-trusted", trustedDevices);
+  saveList("dropbeam-rules", fileRules);
+  sessions.forEach(s => { if (s.deviceId === id) s.trusted = false; });
+  renderDevices();
+  showToast(`${device.name} is no longer trusted.`);
+}
+
+// ===== FILE RULES =====
+// { id, action: "accept" | "reject", device: trusted device ID or "" for any,
+//   types: "image/*, .pdf" or "" for any, size: bytes or 0 }
+// An accept rule takes files up to `size` from trusted devices only; a reject
+// rule turns away files larger than `size` from anyone. Reject rules win.
+function ruleAction(session, file) {
+  const matches = (rule) =>
+    (!rule.device || (session.trusted && rule.device === session.deviceId)) &&
+    typeMatches(rule.types, file) &&
+    (!rule.size || (rule.action === "accept" ? file.size <= rule.size : file.size > rule.size));
+  if (fileRules.some(r => r.action === "reject" && matches(r))) return "reject";
+  if (session.trusted && fileRules.some(r => r.action === "accept" && matches(r))) return "accept";
+  return null;
+}
+
+// "image/*, video/mp4, .pdf, zip" against a manifest entry
+function typeMatches(types, file) {
+  const patterns = types.toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (!patterns.length) return true;
+  const name = file.name.toLowerCase();
+  const mime = (file.mime || "").toLowerCase();
+  return patterns.some(p => {
+    if (p.endsWith("/*")) return mime.startsWith(p.slice(0, -1));
+    if (p.includes("/")) return mime === p;
+    return name.endsWith(p.startsWith(".") ? p : "." + p);
+  });
+}
+
+function describeRule(rule) {
+  const device = trustedDevice(rule.device)?.name ||
+    (rule.action === "accept" ? "any trusted device" : "any device");
+  return [
+    rule.action === "accept" ? "✅ Auto-accept" : "🚫 Always reject",
+    `from ${escHtml(device)}`,
+    rule.types ? escHtml(rule.types) : "any type",
+    rule.size ? `${rule.action === "accept" ? "up to" : "larger than"} ${formatBytes(rule.size)}` : ""
+  ].filter(Boolean).join(" · ");
+}
+
+function addRule() {
+  const action = document.getElementById("rule-action").value;
+  const sizeMb = Number(document.getElementById("rule-size").value);
+  if (!(sizeMb >= 0)) {
+    showToast("Please enter a valid size.");
+    return;
+  }
+  fileRules.push({
+    id: makeId(),
+    action,
+    device: document.getElementById("rule-device").value,
+    types: document.getElementById("rule-types").value.trim(),
+    size: Math.round(sizeMb * 1024 * 1024)
+  });
+  saveList("dropbeam-rules", fileRules);
+  document.getElementById("rule-types").value = "";
+  document.getElementById("rule-size").value = "";
+  renderDevices();
+}
+
+function deleteRule(id) {
+  fileRules = fileRules.filter(r => r.id !== id);
+  saveList("dropbeam-rules", fileRules);
+  renderDevices();
+}
+
+async function openDevices() {
+  const identity = await getIdentity();
+  document.getElementById("my-device-id").textContent =
+    `${deviceName} · ${formatDeviceId(await deviceIdOf(identity.spki))}`;
+  renderDevices();
+  document.getElementById("devices-modal").classList.remove("hidden");
+}
+
+function closeDevices() {
+  document.getElementById("devices-modal").classList.add("hidden");
+}
+
+function renderDevices() {
+  document.getElementById("trusted-list").innerHTML = trustedDevices.length
+    ? trustedDevices.map(d => `
+      <div class="manifest-item">
+        <span class="file-icon">${peerEmoji(d.name)}</span>
+        <span class="file-info">
+          <span class="file-name">${escHtml(d.name)}</span>
+          <span class="file-size">${formatDeviceId(d.id)} · since ${new Date(d.added).toLocaleDateString()}</span>
+        </span>
+        <button class="btn btn-ghost small-btn" onclick="revokeDevice('${d.id}')">Revoke</button>
+      </div>
+    `).join("")
+    : `<p class="hint">No trusted devices yet. Tick "Trust this device" when verifying a connection.</p>`;
+
+  document.getElementById("rule-list").innerHTML = fileRules.length
+    ? fileRules.map(r => `
+      <div class="manifest-item">
+        <span class="file-info"><span class="file-size">${describeRule(r)}</span></span>
+        <button class="chip-x" onclick="deleteRule('${r.id}')">✕</button>
+      </div>
+    `).join("")
+    : `<p class="hint">No rules. Every file asks first.</p>`;
+
+  updateRuleForm();
+}
+
+// Accept rules only make sense for trusted devices; reject rules for anyone
+function updateRuleForm() {
+  const accept = document.getElementById("rule-action").value === "accept";
+  const select = document.getElementById("rule-device");
+  const current = select.value;
+  select.innerHTML = `<option value="">${accept ? "Any trusted device" : "Any device"}</option>` +
+    trustedDevices.map(d => `<option value="${d.id}">${escHtml(d.name)}</option>`).join("");
+  select.value = trustedDevice(current) ? current : "";
+  document.getElementById("rule-size-label").textContent =
+    accept ? "Up to (MB, empty = any)" : "Larger than (MB, empty = any)";
+}
+
+// "3f9a1c…" -> "3F9A-1C2B-…", short enough to compare by eye
+function formatDeviceId(id) {
+  return id.slice(0, 16).toUpperCase().match(/.{4}/g).join("-");
+}
+
+// ===== PASSPHRASE =====
+function setPassphrase(value) {
+  roomPassphrase = value;
+  document.querySelectorAll(".passphrase-input").forEach(el => {
+    if (el.value !== value) el.value = value;
+  });
+}
+
+// ===== PEER CONNECTED =====
+// Joiners go straight to the transfer screen; the room owner stays on the
+// send screen (if it's there) so more devices can join.
+function onPeerConnected(session) {
+  stopCamera();
+  renderPeers();
+  const onSendScreen = document.getElementById("screen-send").classList.contains("active");
+  if (session.dialed || !onSendScreen) showScreen("transfer");
+  showToast(session.resuming ? `Reconnected to ${session.name}.` : "Connected successfully!");
+}
+
+// ===== MESSAGES =====
+// What the engine passes on: clipboard and chat, once the session is ready
+function handleMessage(session, msg) {
+  switch (msg.type) {
+    case "clipboard":
+      if (typeof msg.text !== "string") break;
+      if (msg.image?.parts) {
+        // No more parts than the largest image we'd send takes
+        if (!Number.isInteger(msg.image.parts) ||
+            msg.image.parts > Math.ceil(CLIP_MAX_IMAGE / CLIP_PART_SIZE)) break;
+        const timer = setTimeout(() => incomingClips.delete(msg.id), CLIP_PART_TIMEOUT);
+        incomingClips.set(msg.id, { session, msg, parts: [], count: 0, timer });
+        break;
+      }
+      addClip(session, msg, null);
+      break;
+
+    case "clipboard-part": {
+      const clip = incomingClips.get(msg.id);
+      if (clip?.session !== session || msg.index >= clip.msg.image.parts ||
+          clip.parts[msg.index]) break;
+      clip.parts[msg.index] = fromBase64(msg.data);
+      if (++clip.count < clip.msg.image.parts) break;
+      clearTimeout(clip.timer);
+      incomingClips.delete(msg.id);
+      addClip(session, clip.msg, new Blob(clip.parts, { type: clip.msg.image.mime }));
+      break;
+    }
+
+    case "chat":
+      receiveChat(session, msg);
+      break;
+
+    case "chat-ack":
+      onChatAck(session, msg);
+      break;
+
+    case "chat-typing":
+      showTyping(session, msg.typing);
+      break;
+  }
+}
+
+// ===== SCREEN NAV =====
+function showScreen(name) {
+  document.querySelectorAll(".screen").forEach(s => s.classList.remove("active"));
+  document.getElementById("screen-" + name).classList.add("active");
+}
+
+function goHome() {
+  cleanup();
+  showScreen("home");
+}
+
+function goToSend() {
+  if (!peer) {
+    showToast("Still initializing. Please wait...");
+    return;
+  }
+  showScreen("send");
+  // Keep the current code while it's valid, so devices can still use it
+  if (roomPeer) showRoomCode();
+  else openRoom();
+}
+
+// With devices already in the room, Back returns to them instead of
+// tearing the room down
+function leaveSendScreen() {
+  if (openSessions().length) showScreen("transfer");
+  else goHome();
+}
+
+function goToReceive() {
+  showScreen("receive");
+  setTimeout(() => startScan(), 400);
+}
+
+// ===== QR CODE =====
+function generateQR(peerId) {
+  const container = document.getElementById("qr-container");
+  container.innerHTML = "";
+  const params = configToParams(appConfig);
+  params.set("room", peerId);
+  const url = `${location.origin}?${params}`;
+  new QRCode(container, {
+    text: url,
+    width: 200,
+    height: 200,
+    colorDark: "#000000",
+    colorLight: "#ffffff",
+    correctLevel: QRCode.CorrectLevel.M
+  });
+}
+
+// ===== QR SCANNER =====
+async function startScan() {
+  if (videoStream) {
+    videoStream.getTracks().forEach(t => t.stop());
+  }
+  try {
+    videoStream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" }
+    });
+    const video = document.getElementById("scanner-video");
+    video.srcObject = videoStream;
+    await video.play();
+
+    const canvas = document.getElementById("scanner-canvas");
+    const ctx = canvas.getContext("2d");
+
+    if (scanInterval) clearInterval(scanInterval);
+    scanInterval = setInterval(() => {
+      if (video.readyState !== video.HAVE_ENOUGH_DATA) return;
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      ctx.drawImage(video, 0, 0);
+      const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(imgData.data, canvas.width, canvas.height);
+      if (code?.data && joinScanned(code.data)) {
+        clearInterval(scanInterval);
+        stopCamera();
+        showToast("QR code scanned!");
+      }
+    }, 250);
+  } catch (e) {
+    showToast("Camera not available. Use Enter Code tab.");
+    switchJoinTab("code");
+  }
+}
+
+// A room link from generateQR. The servers it names apply like the URL
+// params of a page opened from it; false if `text` isn't a room link.
+function joinScanned(text) {
+  let params;
+  try {
+    params = new URL(text).searchParams;
+  } catch {
+    return false;
+  }
+  const room = params.get("room");
+  if (!room) return false;
+  const code = normalizeRoomCode(room);
+  const cfg = configFromParams(params);
+  const next = { ...DEFAULT_CONFIG, ...fileConfig, ...savedConfig(), ...cfg };
+  if (signalingKey(next) === signalingKey(appConfig)) {
+    joinRoom(code);
+    return true;
+  }
+  if (sessions.size &&
+      !confirm("This room uses other servers. Joining it disconnects all devices. Continue?")) {
+    return true;
+  }
+  urlConfig = cfg;
+  appConfig = next;
+  restartPeer();
+  peer.on("open", () => joinRoom(code));
+  return true;
+}
+
+function stopCamera() {
+  if (videoStream) {
+    videoStream.getTracks().forEach(t => t.stop());
+    videoStream = null;
+  }
+  if (scanInterval) {
+    clearInterval(scanInterval);
+    scanInterval = null;
+  }
+}
+
+function switchJoinTab(tab) {
+  document.getElementById("join-scan").classList.toggle("hidden", tab !== "scan");
+  document.getElementById("join-code").classList.toggle("hidden", tab !== "code");
+  document.getElementById("tab-scan").classList.toggle("active", tab === "scan");
+  document.getElementById("tab-code").classList.toggle("active", tab !== "scan");
+  if (tab === "scan") startScan();
+  else stopCamera();
+}
+
+// ===== JOIN ROOM =====
+function joinByCode() {
+  const input = document.getElementById("peer-id-input");
+  if (!input.value.trim()) {
+    showToast("Please enter a room code.");
+    return;
+  }
+  joinRoom(normalizeRoomCode(input.value));
+}
+
+function joinRoom(peerId) {
+  if (!peer) {
+    showToast("Please wait, still initializing...");
+    return;
+  }
+  const connection = dial(peerId);
+  if (!connection) {
+    showToast("Not connected to the server yet. Try again in a moment.");
+    return;
+  }
+  showToast("Connecting...");
+  engine.connect(connection, true);
+}
+
+// ===== NEARBY DEVICES =====
+// Opt-in. Devices on the same network see each other through the presence
+// channel of a self-hosted signaling server. A tap asks the other device
+// first ("knock"); only once it accepts do we dial it with joinRoom(), and
+// the usual verification still follows.
+function presenceEnabled() {
+  return localStorage.getItem("dropbeam-presence") === "1";
+}
+
+function setPresence(on) {
+  localStorage.setItem("dropbeam-presence", on ? "1" : "0");
+  if (on) connectPresence();
+  else closePresence();
+  renderNearby();
+}
+
+function connectPresence() {
+  closePresence();
+  if (!presenceEnabled() || !peer?.open) return;
+  const { host, port, secure, path, key } = appConfig;
+  // Same ID and token as our signaling connection, which the server checks
+  const query = new URLSearchParams({ key, id: peer.id, token: peer.options.token });
+  const ws = new WebSocket(`${secure ? "wss" : "ws"}://${host}:${port}${path.replace(/\/?$/, "/")}presence?${query}`);
+  let opened = false;
+  presenceSocket = ws;
+  presenceStatus = "Looking for nearby devices...";
+  ws.onopen = () => {
+    opened = true;
+    announcePresence();
+  };
+  ws.onmessage = (e) => {
+    let msg;
+    try { msg = JSON.parse(e.data); } catch { return; }
+    onPresenceMessage(msg);
+  };
+  ws.onclose = () => {
+    if (presenceSocket !== ws) return;
+    presenceSocket = null;
+    nearbyDevices = [];
+    if (opened) {
+      presenceRetry = setTimeout(connectPresence, PRESENCE_RETRY);
+    } else {
+      presenceStatus = "Nearby discovery isn't available on this signaling server. " +
+        "It needs a self-hosted DropBeam server (server/server.js).";
+      logDiag("Presence channel unavailable");
+    }
+    renderNearby();
+  };
+  renderNearby();
+}
+
+function closePresence() {
+  clearTimeout(presenceRetry);
+  const ws = presenceSocket;
+  presenceSocket = null;
+  nearbyDevices = [];
+  ws?.close();
+}
+
+function presenceSend(msg) {
+  if (presenceSocket?.readyState === WebSocket.OPEN) presenceSocket.send(JSON.stringify(msg));
+}
+
+function announcePresence() {
+  presenceSend({
+    type: "announce",
+    name: deviceName,
+    emoji: document.getElementById("device-emoji").textContent
+  });
+}
+
+function onPresenceMessage(msg) {
+  switch (msg.type) {
+    case "nearby":
+      nearbyDevices = (msg.devices || []).filter(d =>
+        typeof d.id === "string" && /^[\w -]+$/.test(d.id) && typeof d.name === "string");
+      renderNearby();
+      break;
+
+    case "knock":
+      showKnock(msg.from);
+      break;
+
+    case "knock-reply": {
+      if (outgoingKnock !== msg.from) break;
+      const device = nearbyDevices.find(d => d.id === msg.from);
+      outgoingKnock = null;
+      renderNearby();
+      if (msg.accepted) joinRoom(msg.from);
+      else showToast(`${device?.name || "The device"} declined.`);
+      break;
+    }
+  }
+}
+
+function renderNearby() {
+  const on = presenceEnabled();
+  document.getElementById("presence-toggle").checked = on;
+  const list = document.getElementById("nearby-list");
+  list.classList.toggle("hidden", !on);
+  if (!on) return;
+  list.innerHTML = nearbyDevices.length
+    ? nearbyDevices.map(d => `
+      <button class="nearby-tile ${outgoingKnock === d.id ? "pending" : ""}"
+        onclick="knockNearby('${d.id}')">
+        <span class="nearby-emoji">${escHtml(d.emoji || "💻")}</span>
+        <span class="nearby-name">${escHtml(d.name)}</span>
+      </button>
+    `).join("")
+    : `<p class="hint">${escHtml(presenceStatus)}</p>`;
+}
+
+function knockNearby(id) {
+  const device = nearbyDevices.find(d => d.id === id);
+  if (!device || outgoingKnock) return;
+  outgoingKnock = id;
+  presenceSend({ type: "knock", to: id });
+  showToast(`Asking ${device.name} to connect...`);
+  renderNearby();
+  setTimeout(() => {
+    if (outgoingKnock !== id) return;
+    outgoingKnock = null;
+    renderNearby();
+    showToast(`${device.name} didn't answer.`);
+  }, KNOCK_TIMEOUT);
+}
+
+// One request at a time; others are declined while it's open
+function showKnock(from) {
+  if (typeof from?.id !== "string") return;
+  if (incomingKnock) {
+    presenceSend({ type: "knock-reply", to: from.id, accepted: false });
+    return;
+  }
+  incomingKnock = { from, timer: setTimeout(() => answerKnock(false), KNOCK_TIMEOUT) };
+  document.getElementById("knock-emoji").textContent = from.emoji || "📡";
+  document.getElementById("knock-desc").textContent = `${from.name} wants to connect to this device.`;
+  document.getElementById("knock-modal").classList.remove("hidden");
+}
+
+function answerKnock(accepted) {
+  if (!incomingKnock) return;
+  const { from, timer } = incomingKnock;
+  clearTimeout(timer);
+  incomingKnock = null;
+  document.getElementById("knock-modal").classList.add("hidden");
+  presenceSend({ type: "knock-reply", to: from.id, accepted });
+  if (accepted) showToast(`Connecting to ${from.name}...`);
+}
+
+// ===== FILE QUEUE =====
+function addFilesToQueue(files) {
+  pendingFiles.push(...files);
+  updateQueueUI();
+}
+
+// Files from a dropped folder show up as one entry per top-level folder
+function updateQueueUI() {
+  const queueEl = document.getElementById("file-queue");
+  const sendBtn = document.getElementById("send-btn");
+  queueEl.innerHTML = "";
+
+  const folders = new Map(); // top folder -> its entry
+  const entries = [];
+  pendingFiles.forEach((f, i) => {
+    const folder = topFolder(filePath(f));
+    if (!folder) {
+      entries.push({ i, icon: getFileEmoji(f.name), name: f.name, size: f.size });
+      return;
+    }
+    if (!folders.has(folder)) {
+      const entry = { i, icon: "📁", name: folder, size: 0, count: 0 };
+      folders.set(folder, entry);
+      entries.push(entry);
+    }
+    const entry = folders.get(folder);
+    entry.size += f.size;
+    entry.count++;
+  });
+
+  entries.forEach(({ i, icon, name, size, count }) => {
+    const el = document.createElement("div");
+    el.className = "file-item";
+    el.innerHTML = `
+      <div class="file-icon">${icon}</div>
+      <div class="file-info">
+        <div class="file-name">${escHtml(name)}</div>
+        <div class="file-size">${count ? `${count} file${count > 1 ? "s" : ""} · ` : ""}${formatBytes(size)}</div>
+      </div>
+      <button class="btn btn-ghost small-btn" onclick="removeFile(${i})">✕</button>
+    `;
+    queueEl.appendChild(el);
+  });
+
+  sendBtn.classList.toggle("hidden", pendingFiles.length === 0);
+}
+
+// Removes the file at `i`, or its whole folder if it came from one
+function removeFile(i) {
+  const folder = topFolder(filePath(pendingFiles[i]));
+  pendingFiles = folder
+    ? pendingFiles.filter(f => topFolder(filePath(f)) !== folder)
+    : pendingFiles.filter((_, j) => j !== i);
+  updateQueueUI();
+}
+
+// Broadcasts the queue: every connected device gets its own copy and its
+// own accept/reject, progress and failure handling.
+function sendFiles() {
+  if (!pendingFiles.length) return;
+  const targets = openSessions();
+  if (!targets.length) {
+    showToast("Not connected to any peer.");
+    return;
+  }
+  targets.forEach(session => {
+    offerFiles(session, pendingFiles.map(file => ({ id: makeId(), file, path: filePath(file) })));
+  });
+  pendingFiles = [];
+  updateQueueUI();
+}
+
+// ===== MANIFEST =====
+// A whole batch is offered in one `manifest` (see engine.offer), with a
+// preview of each file.
+async function offerFiles(session, entries) {
+  showToast(entries.length > 1
+    ? `Offering ${entries.length} files to ${session.name}`
+    : `Requesting to send: ${entries[0].file.name}`);
+  await Promise.all(entries.slice(0, PREVIEW_MAX_FILES).map(async (entry) => {
+    entry.preview = await filePreview(entry.file);
+  }));
+  engine.offer(session, entries);
+}
+
+// Receiver side: files that can't fit are turned away, rules settle what
+// they can, the user is asked about the rest
+async function receiveManifest(session, manifest) {
+  if (incomingManifest?.manifest.id === manifest.id) return;
+  const onDisk = !!window.showSaveFilePicker || !!swRegistration?.active;
+  const limit = sizeLimit(onDisk);
+  const space = await freeSpace(onDisk);
+  let auto = [], ask = [];
+  const refused = {};
+  manifest.files.forEach(f => {
+    const refusal = refusalFor(f.size, limit, space);
+    const action = refusal ? null : ruleAction(session, f);
+    if (refusal) refused[f.id] = refusal;
+    else if (action === "accept") auto.push(f);
+    else if (!action) ask.push(f);
+  });
+  // Rules don't get to fill the disk: if together they won't fit, ask
+  if (space && totalSize(auto) > space.available) {
+    ask = manifest.files.filter(f => ask.includes(f) || auto.includes(f));
+    auto = [];
+  }
+  const turned = Object.values(refused);
+  const ruled = manifest.files.length - auto.length - ask.length - turned.length;
+  if (ask.length) {
+    // One request dialog at a time
+    if (incomingManifest) {
+      engine.defer(session, manifest);
+      return;
+    }
+    showManifest(session, manifest, ask, auto, refused, space);
+  } else {
+    engine.answer(session, manifest, auto, await openZipTarget(auto), refused);
+  }
+  if (auto.length) showToast(`Auto-accepted ${auto.length} file(s) from ${session.name}.`);
+  if (ruled) showToast(`Rejected ${ruled} file(s) from ${session.name} by your rules.`);
+  if (turned.length) {
+    showToast(`Turned away ${turned.length} file(s) from ${session.name}: ${refusalsText(turned)}.`, 5000);
+  }
+}
+
+// One dialog for the whole batch, every file ticked. `files` are the ones
+// no rule decided; `auto` were already accepted by one, `refused` won't fit
+// (see receiveManifest).
+function showManifest(session, manifest, files, auto, refused, space) {
+  incomingManifest = { session, manifest, files, auto, refused, space };
+  const turned = Object.values(refused);
+  const many = files.length > 1;
+  const total = totalSize(files);
+  document.getElementById("file-request-title").textContent =
+    many ? "Incoming Files" : "Incoming File";
+  document.getElementById("file-request-desc").textContent = (many
+    ? `${session.name} wants to send ${files.length} files (${formatBytes(total)})`
+    : `${session.name} wants to send "${files[0].name}" (${formatBytes(files[0].size)})`) +
+    (auto.length ? ` — plus ${auto.length} accepted by your rules` : "") +
+    (turned.length ? `. ${turned.length} more turned away: ${refusalsText(turned)}` : "");
+  const preview = document.getElementById("file-request-preview");
+  const single = !many && offeredPreview(files[0]);
+  preview.classList.toggle("hidden", !single);
+  preview.innerHTML = !single ? ""
+    : single.thumb ? `<img src="${single.thumb}" alt="Preview" />`
+    : `<pre>${escHtml(single.text)}</pre>`;
+  document.getElementById("manifest-select").classList.toggle("hidden", !many);
+  const list = document.getElementById("manifest-list");
+  list.classList.toggle("hidden", !many);
+  list.innerHTML = many ? files.map(f => {
+    const p = offeredPreview(f);
+    return `
+    <label class="manifest-item">
+      <input type="checkbox" value="${escHtml(f.id)}" checked onchange="updateManifestSelection()" />
+      ${p?.thumb
+        ? `<img class="manifest-thumb" src="${p.thumb}" alt="" />`
+        : `<span class="file-icon">${getFileEmoji(f.name)}</span>`}
+      <span class="file-info">
+        <span class="file-name">${escHtml(f.path || f.name)}</span>
+        <span class="file-size">${formatBytes(f.size)}</span>
+        ${p?.text ? `<span class="manifest-snippet">${escHtml(p.text.split("\n").find(l => l.trim()) || "")}</span>` : ""}
+      </span>
+    </label>
+  `;
+  }).join("") : "";
+  updateManifestSelection();
+  document.getElementById("file-request-modal").classList.remove("hidden");
+}
+
+function manifestChecks() {
+  return [...document.querySelectorAll("#manifest-list input[type=checkbox]")];
+}
+
+function updateManifestSelection() {
+  const { files, auto, space } = incomingManifest;
+  const checked = manifestChecks().filter(cb => cb.checked);
+  // A batch whose files fit one by one may still not fit together
+  const picked = files.length > 1 ? files.filter(f => checked.some(cb => cb.value === f.id)) : files;
+  const needed = totalSize([...auto, ...picked]);
+  const warning = document.getElementById("file-request-warning");
+  warning.classList.toggle("hidden", !space || needed <= space.available);
+  if (space) {
+    warning.textContent = `⚠️ This needs ${formatBytes(needed)}, but only ` +
+      `${formatBytes(space.available)} is left of this browser's storage quota.`;
+  }
+  const all = document.getElementById("manifest-all");
+  all.checked = checked.length === files.length;
+  all.indeterminate = checked.length > 0 && checked.length < files.length;
+  const btn = document.getElementById("accept-btn");
+  btn.disabled = files.length > 1 && !checked.length;
+  btn.textContent = files.length > 1 && checked.length < files.length
+    ? `✅ Accept ${checked.length} of ${files.length}`
+    : "✅ Accept";
+}
+
+function toggleManifestAll(checked) {
+  manifestChecks().forEach(cb => { cb.checked = checked; });
+  updateManifestSelection();
+}
+
+async function acceptManifest() {
+  if (!incomingManifest) return;
+  const { session, manifest, files, auto, refused } = incomingManifest;
+  const picked = files.length > 1
+    ? manifestChecks().filter(cb => cb.checked).map(cb => cb.value)
+    : [files[0].id];
+  if (!picked.length) return;
+
+  const ids = [...auto.map(f => f.id), ...picked];
+  const chosen = manifest.files.filter(f => ids.includes(f.id));
+  let target = null;
+  try {
+    target = await pickSaveTarget(chosen);
+  } catch (err) {
+    if (err.name === "AbortError") return; // dialog stays open
+    console.warn("File System Access unavailable:", err);
+  }
+  if (!target) target = await openZipTarget(chosen);
+  // Sender may have left while the picker was open
+  if (incomingManifest?.manifest !== manifest) return;
+  closeManifest();
+  engine.answer(session, manifest, chosen, target, refused);
+}
+
+// Rule-accepted files still come through
+async function rejectManifest() {
+  if (!incomingManifest) return;
+  const { session, manifest, files, auto, refused } = incomingManifest;
+  closeManifest();
+  showToast(files.length > 1 ? "Files rejected." : "File rejected.");
+  if (!isOpen(session)) {
+    manifest.files.forEach(f => logOffered(session, f, "rejected"));
+    return;
+  }
+  engine.answer(session, manifest, auto, auto.length ? await openZipTarget(auto) : null, refused);
+}
+
+function closeManifest() {
+  incomingManifest = null;
+  document.getElementById("file-request-modal").classList.add("hidden");
+}
+
+// ===== STORAGE LIMITS =====
+// Files over the size limit, or bigger than the storage left where they'd be
+// saved, are turned away with a reason the sender is shown (see readRefusal
+// in engine.js): when a batch is offered, and again as each file starts,
+// since earlier ones may have used the space up. `onDisk` is whether files
+// go to a picked file or folder or a streamed download; otherwise each is
+// held in memory until it's complete.
+
+// { available } in bytes for saves to disk, or null if the browser can't
+// tell. It's what navigator.storage.estimate() leaves of the origin's quota,
+// the closest a page gets to the disk's free space.
+async function freeSpace(onDisk) {
+  if (!onDisk || !navigator.storage?.estimate) return null;
+  try {
+    const { quota, usage = 0 } = await navigator.storage.estimate();
+    return quota ? { available: Math.max(0, quota - usage) } : null;
+  } catch {
+    return null;
+  }
+}
+
+// The limit in Settings, and for files held in memory, MEMORY_SINK_MAX
+function sizeLimit(onDisk) {
+  const limit = appConfig.maxFileSize * 1024 * 1024;
+  return onDisk ? limit : Math.min(limit || MEMORY_SINK_MAX, MEMORY_SINK_MAX);
+}
+
+function refusalFor(size, limit, space) {
+  if (limit && size > limit) return { reason: "too-large", limit };
+  if (space && size > space.available) return { reason: "no-space", available: space.available };
+  return null;
+}
+
+// The engine's last word before a file's sink is opened
+async function checkFile(meta, target) {
+  const onDisk = !!(target?.file || target?.dir || swRegistration?.active);
+  return refusalFor(meta.size, sizeLimit(onDisk), await freeSpace(onDisk));
+}
+
+function refusalsText(refusals) {
+  return [...new Set(refusals.map(r =>
+    r.reason === "too-large" ? "over your size limit" : "not enough space"))].join(" or ");
+}
+
+function totalSize(files) {
+  return files.reduce((sum, f) => sum + f.size, 0);
+}
+
+// ===== INTEGRITY REPAIR =====
+// A receive that failed verification (see failIncoming in engine.js) gets
+// buttons to re-request its bad blocks, where the sink allows, or discard it.
+function showRepair(record) {
+  const { meta, sink, el, bad } = record;
+  if (!el) return;
+  setTransferStatus(el, `⚠️ Verification failed · ${bad.length} bad block(s)`);
+  el.querySelector(".transfer-actions")?.remove();
+  const actions = document.createElement("div");
+  actions.className = "transfer-actions";
+  actions.innerHTML = `
+    ${sink.writeAt ? `<button class="btn btn-ghost small-btn repair-btn">🔁 Re-request</button>` : ""}
+    <button class="btn btn-ghost small-btn discard-btn">✕ Discard</button>
+  `;
+  onClick(actions, ".repair-btn", () => requestRepair(meta.id));
+  onClick(actions, ".discard-btn", () => discardFailed(meta.id));
+  el.appendChild(actions);
+}
+
+function requestRepair(id) {
+  const record = failedTransfers.get(id);
+  if (!engine.repair(id)) return;
+  record.el?.querySelector(".transfer-actions")?.remove();
+  setTransferStatus(record.el, `🔁 Re-requesting ${record.bad.length} block(s)...`);
+}
+
+function discardFailed(id) {
+  engine.discard(id);
+}
+
+// ===== RECEIVE SINKS =====
+// Where incoming bytes go, best first: a file or folder picked through the
+// File System Access API, a service-worker streamed download, and only as a
+// last resort an in-memory Blob. Every sink has write(chunk), close() and
+// abort(); close() resolves to the saved File/Blob when one is readable.
+// write() resolves once the chunk is off its hands, which is what keeps a
+// fast sender from filling memory ahead of a slow disk.
+
+// Pickers need a user gesture, so this runs when the manifest is accepted:
+// one file gets a save dialog, a batch gets a folder. Resolves to
+// { file } or { dir } handles, or null without File System Access.
+async function pickSaveTarget(files) {
+  if (!window.showSaveFilePicker) return null;
+  if (files.length === 1) {
+    return { file: await window.showSaveFilePicker({ suggestedName: files[0].name }) };
+  }
+  return { dir: await window.showDirectoryPicker({ mode: "readwrite" }) };
+}
+
+async function openReceiveSink(meta, target) {
+  if (target?.zip) return target.zip.entrySink(meta);
+  if (target) {
+    try {
+      const handle = target.file || await createFileAt(target.dir, meta.path || meta.name);
+      return await openFsSink(handle);
+    } catch (err) {
+      console.warn("File System Access unavailable:", err);
+    }
+  }
+  return openStreamSink(meta);
+}
+
+async function openStreamSink(meta) {
+  if (swRegistration?.active) {
+    try {
+      return await openSwSink(meta);
+    } catch (err) {
+      console.warn("Stream download unavailable:", err);
+    }
+  }
+  return openMemorySink(meta);
+}
+
+// Creates the folders along a relative path and a fresh file at its end
+async function createFileAt(dir, path) {
+  const parts = safePath(path);
+  const name = parts.pop();
+  for (const part of parts) dir = await dir.getDirectoryHandle(part, { create: true });
+  return dir.getFileHandle(await freeName(dir, name), { create: true });
+}
+
+// "name.ext", or "name (1).ext" etc. if the folder already has one
+async function freeName(dir, name) {
+  const dot = name.lastIndexOf(".");
+  const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  for (let n = 0; ; n++) {
+    const candidate = n ? `${base} (${n})${ext}` : name;
+    try {
+      await dir.getFileHandle(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+}
+
+async function openFsSink(handle) {
+  const writable = await handle.createWritable();
+  let queue = Promise.resolve();
+  return {
+    kind: "fs",
+    write(chunk) { return queue = queue.then(() => writable.write(chunk)); },
+    writeAt(position, chunk) {
+      return queue = queue.then(() => writable.write({ type: "write", position, data: chunk }));
+    },
+    async close() {
+      await queue;
+      await writable.close();
+      return handle.getFile();
+    },
+    reread: () => handle.getFile(),
+    abort() { queue.then(() => writable.abort()).catch(() => {}); }
+  };
+}
+
+async function openSwSink(meta) {
+  // Inside the worker's scope, which is the app's directory, not the origin
+  const url = new URL(`dropbeam-download/${meta.id}/${encodeURIComponent(meta.name)}`,
+    swRegistration.scope).href;
+  const { port1: port, port2 } = new MessageChannel();
+  // The worker asks for each chunk as the download takes them (see sw.js)
+  let pulls = 0;
+  let wake = null;
+  let stopped = null;
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("Service worker timeout")), 3000);
+    port.onmessage = (e) => {
+      if (e.data === "ready") { clearTimeout(timer); resolve(); }
+      else if (e.data === "pull") pulls++;
+      else if (e.data === "cancel") stopped = new Error("Download cancelled");
+      wake?.();
+    };
+    swRegistration.active.postMessage({
+      type: "stream-download",
+      url,
+      name: meta.name,
+      size: meta.size,
+      mime: meta.mime
+    }, [port2]);
+  });
+
+  // Navigating a hidden frame to the URL hands the stream to the browser's
+  // download manager, which writes it to disk as it arrives.
+  const frame = document.createElement("iframe");
+  frame.hidden = true;
+  frame.src = url;
+  document.body.appendChild(frame);
+
+  let queue = Promise.resolve();
+  const post = async (chunk) => {
+    while (!pulls && !stopped) await new Promise(resolve => { wake = resolve; });
+    if (stopped) throw stopped;
+    pulls--;
+    port.postMessage(chunk);
+  };
+  return {
+    kind: "sw",
+    // Copied, not transferred: the receiver still hashes the chunk
+    write(chunk) { return queue = queue.then(() => post(chunk)); },
+    async close() {
+      await queue;
+      port.postMessage("end");
+      setTimeout(() => frame.remove(), 10000);
+      return null;
+    },
+    abort() {
+      stopped ||= new Error("Transfer aborted");
+      wake?.();
+      port.postMessage("abort");
+      frame.remove();
+    }
+  };
+}
+
+// ===== ZIP RECEIVE =====
+// Without File System Access, a batch with folders is packed into one ZIP
+// as it arrives so the tree survives a plain download. Null when there's no
+// tree to keep or the batch won't fit a classic ZIP.
+async function openZipTarget(files) {
+  const paths = files.map(f => safePath(f.path || f.name).join("/"));
+  if (!paths.some(p => p.includes("/"))) return null;
+  const sizes = files.map((f, i) => ({ name: paths[i], size: f.size }));
+  if (files.length >= 0xffff || zipArchiveSize(sizes) > ZIP_LIMIT) return null;
+  const roots = new Set(paths.map(p => p.split("/")[0]));
+  const name = `${roots.size === 1 ? [...roots][0] : "DropBeam"}.zip`;
+  const zip = await openZipArchive(name, files.map(f => f.id));
+  return { zip, skip: zip.skip };
+}
+
+// Each accepted file becomes an entry; the archive is closed once every one
+// of them has been received, failed or dropped.
+async function openZipArchive(name, ids) {
+  const sink = await openStreamSink({ id: makeId(), name, size: null, mime: "application/zip" });
+  const zip = createZipWriter(bytes => sink.write(bytes));
+  const pending = new Set(ids);
+
+  const settle = async (id) => {
+    if (!pending.delete(id) || pending.size) return;
+    zip.finish();
+    const file = await sink.close();
+    if (sink.kind === "memory") downloadFile(file, name);
+    showToast(`${name} saved.`);
+  };
+
+  return {
+    entrySink(meta) {
+      const entry = zip.add(safePath(meta.path || meta.name).join("/"));
+      return {
+        kind: "zip",
+        write(chunk) { return entry.write(chunk); },
+        async close() {
+          entry.close();
+          settle(meta.id);
+          return null;
+        },
+        abort() {
+          entry.abort();
+          settle(meta.id);
+        }
+      };
+    },
+    skip: settle
+  };
+}
+
+function openMemorySink(meta) {
+  let parts = new Map(); // offset -> chunk
+  let pos = 0;
+  return {
+    kind: "memory",
+    write(chunk) {
+      parts.set(pos, chunk);
+      pos += chunk.byteLength;
+    },
+    // A repaired range replaces whatever it overlaps; it needn't line up
+    // with the chunks first written
+    writeAt(offset, chunk) {
+      const end = offset + chunk.byteLength;
+      for (const [start, part] of [...parts]) {
+        const stop = start + part.byteLength;
+        if (stop <= offset || start >= end) continue;
+        parts.delete(start);
+        if (start < offset) parts.set(start, part.slice(0, offset - start));
+        if (stop > end) parts.set(end, part.slice(end - start));
+      }
+      parts.set(offset, chunk);
+    },
+    async close() {
+      const offsets = [...parts.keys()].sort((a, b) => a - b);
+      return new Blob(offsets.map(o => parts.get(o)), { type: meta.mime });
+    },
+    reread() { return this.close(); },
+    abort() { parts = new Map(); }
+  };
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("sw.js")
+    .then(() => navigator.serviceWorker.ready)
+    .then(reg => { swRegistration = reg; })
+    .catch(err => console.warn("Service worker registration failed:", err));
+}
+
+async function installApp() {
+  if (!installPrompt) return;
+  installPrompt.prompt();
+  await installPrompt.userChoice;
+  installPrompt = null;
+  document.getElementById("install-btn").classList.add("hidden");
+}
+
+// ===== SHARE TARGET =====
+// Items shared to the installed app wait in the service worker (see
+// receiveShare in sw.js); fetch them and open a room to send them from
+async function receiveShared(id) {
+  const reg = await navigator.serviceWorker?.ready;
+  if (!reg?.active) return;
+  const share = await new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data);
+    reg.active.postMessage({ type: "share-fetch", id }, [channel.port2]);
+  });
+  if (!share) {
+    showToast("The shared items are gone. Please share them again.");
+    return;
+  }
+  // Apps fill these in differently, often with the link repeated
+  const text = [...new Set([share.title, share.text, share.url].filter(Boolean))].join("\n");
+  if (text) document.getElementById("clipboard-text").value = text;
+  if (share.files.length) addFilesToQueue(share.files);
+  else switchTransferTab("clip");
+  goToSend();
+  showToast(share.files.length
+    ? `${share.files.length} shared file(s) ready. Connect a device to send them.`
+    : "Shared text ready. Connect a device to send it.", 5000);
+}
+
+// ===== DOWNLOAD =====
+function downloadFile(blob, name) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    URL.revokeObjectURL(a.href);
+    a.remove();
+  }, 10000);
+}
+
+// ===== PREVIEWS =====
+function previewKind(name, mime = "") {
+  const ext = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+  if (mime === "application/pdf" || ext === "pdf") return "pdf";
+  if (/^(image|video|audio)\//.test(mime)) return mime.split("/")[0];
+  if (COMPRESSIBLE_TYPES.test(mime) || TEXT_EXTS.has(ext)) return "text";
+  return null;
+}
+
+// Sender side. Resolves to { thumb } or { text }, or null when there is
+// nothing to show or it takes too long.
+function filePreview(file) {
+  if (!previewCache.has(file)) {
+    const timeout = new Promise(resolve => setTimeout(resolve, PREVIEW_TIMEOUT, null));
+    previewCache.set(file, Promise.race([makePreview(file), timeout]).catch(err => {
+      console.warn(`No preview for ${file.name}:`, err);
+      return null;
+    }));
+  }
+  return previewCache.get(file);
+}
+
+async function makePreview(file) {
+  const kind = previewKind(file.name, file.type);
+  if ((kind === "image" || kind === "pdf") && file.size > PREVIEW_MAX_SIZE) return null;
+  switch (kind) {
+    case "image": {
+      const bitmap = await createImageBitmap(file);
+      const thumb = drawThumb(bitmap, bitmap.width, bitmap.height);
+      bitmap.close();
+      return { thumb };
+    }
+    case "video":
+      return { thumb: await videoThumb(file) };
+    case "pdf":
+      return window.pdfjsLib ? { thumb: await pdfThumb(file) } : null;
+    case "text": {
+      const text = await file.slice(0, SNIPPET_BYTES).text();
+      if (text.includes("\0")) return null;
+      return { text: text.split("\n").slice(0, SNIPPET_LINES).join("\n") };
+    }
+  }
+  return null;
+}
+
+function drawThumb(source, width, height) {
+  const scale = Math.min(1, THUMB_SIZE / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext("2d");
+  // JPEG has no transparency
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", THUMB_QUALITY);
+}
+
+// A frame a little way in, since the first one is often black
+function videoThumb(file) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    const url = URL.createObjectURL(file);
+    const finish = (fn) => {
+      URL.revokeObjectURL(url);
+      video.removeAttribute("src");
+      fn();
+    };
+    video.muted = true;
+    video.preload = "metadata";
+    video.onloadedmetadata = () => { video.currentTime = Math.min(1, (video.duration || 0) / 4); };
+    video.onseeked = () => finish(() => resolve(drawThumb(video, video.videoWidth, video.videoHeight)));
+    video.onerror = () => finish(() => reject(new Error("Video can't be decoded")));
+    video.src = url;
+  });
+}
+
+// First page, rendered with pdf.js
+async function pdfThumb(file) {
+  pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER;
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMB_SIZE / Math.max(base.width, base.height) });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return drawThumb(canvas, canvas.width, canvas.height);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Receiver side: only well-formed previews of sane size are shown
+function offeredPreview(f) {
+  const p = f.preview;
+  if (typeof p?.thumb === "string" && p.thumb.length <= THUMB_MAX_LENGTH &&
+      /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/.test(p.thumb)) {
+    return { thumb: p.thumb };
+  }
+  if (typeof p?.text === "string" && p.text.trim()) {
+    return { text: p.text.slice(0, SNIPPET_BYTES) };
+  }
+  return null;
+}
+
+// Viewer for a received file (or clipboard image)
+async function showPreview(blob, name, mime = blob.type) {
+  const kind = previewKind(name, mime);
+  if (!kind) return;
+  closePreview();
+  const body = document.getElementById("preview-body");
+  document.getElementById("preview-title").textContent = name;
+  if (kind === "text") {
+    const text = await blob.slice(0, VIEWER_TEXT_BYTES).text();
+    const more = blob.size > VIEWER_TEXT_BYTES ? `\n… ${formatBytes(blob.size - VIEWER_TEXT_BYTES)} more` : "";
+    body.innerHTML = `<pre>${escHtml(text + more)}</pre>`;
+  } else {
+    // The iframe only renders a PDF that says it is one
+    const typed = kind === "pdf" && blob.type !== "application/pdf"
+      ? new Blob([blob], { type: "application/pdf" })
+      : blob;
+    previewUrl = URL.createObjectURL(typed);
+    body.innerHTML = {
+      image: `<img src="${previewUrl}" alt="Preview" />`,
+      video: `<video src="${previewUrl}" controls playsinline></video>`,
+      audio: `<audio src="${previewUrl}" controls></audio>`,
+      pdf: `<iframe src="${previewUrl}" title="PDF preview"></iframe>`
+    }[kind];
+  }
+  document.getElementById("preview-modal").classList.remove("hidden");
+}
+
+function closePreview() {
+  document.getElementById("preview-modal").classList.add("hidden");
+  // Clearing the body also stops playback
+  document.getElementById("preview-body").innerHTML = "";
+  if (previewUrl) URL.revokeObjectURL(previewUrl);
+  previewUrl = null;
+}
+
+// ===== PROGRESS UI =====
+// (Re)draws a transfer's card when it starts or resumes; speed and ETA count
+// from this run's start (`startTime`, `startOffset`)
+function showTransfer(t, done) {
+  t.el?.remove();
+  t.el = makeTransferEl(t);
+  document.getElementById("active-transfers").appendChild(t.el);
+  updateProgress(t, done);
+}
+
+function makeTransferEl(t) {
+  const isSender = t.direction === "out";
+  const el = document.createElement("div");
+  el.className = "file-item";
+  el.style.flexDirection = "column";
+  el.style.alignItems = "flex-start";
+  el.innerHTML = `
+    <div style="display:flex;align-items:center;gap:10px;width:100%">
+      <div class="file-icon">${getFileEmoji(t.name)}</div>
+      <div class="file-info" style="flex:1">
+        <div class="file-name">${escHtml(t.name)}</div>
+        <div class="file-size">
+          ${isSender ? "Sending to" : "Receiving from"} ${escHtml(t.session.name)}
+          · ${formatBytes(t.size)}
+        </div>
+      </div>
+      <button class="btn btn-ghost small-btn pause-btn">${t.paused ? "▶️" : "⏸"}</button>
+      ${!isSender && t.session.approved.size ? `
+        <button class="btn btn-ghost small-btn skip-btn" title="Skip this file, keep the rest">⏭</button>
+      ` : ""}
+      <button class="btn btn-ghost small-btn cancel-btn">✕</button>
+    </div>
+    <div class="progress-wrap" style="width:100%">
+      <div class="progress-fill" style="width:0%"></div>
+    </div>
+    <div class="progress-stats">
+      <span class="pct">0%</span>
+      <span class="spd">—</span>
+      <span class="eta">—</span>
+    </div>
+    ${t.codec ? `<div class="progress-stats wire-stats">
+      <span class="wire">🗜️ Compressed</span>
+      <span class="wire-spd"></span>
+    </div>` : ""}
+  `;
+  onClick(el, ".pause-btn", () => togglePause(t.id));
+  onClick(el, ".skip-btn", () => skipTransfer(t.id));
+  onClick(el, ".cancel-btn", () => cancelTransfer(t.id));
+  return el;
+}
+
+function setTransferStatus(el, text) {
+  if (el) el.querySelector(".file-size").textContent = text;
+}
+
+// `done`: bytes sent or received so far
+function updateProgress(t, done) {
+  const el = t.el;
+  if (!el) return;
+  const pct = Math.min(100, (done / t.size) * 100);
+  el.querySelector(".progress-fill").style.width = pct.toFixed(1) + "%";
+  el.querySelector(".pct").textContent = pct.toFixed(0) + "%";
+  const elapsed = (Date.now() - t.startTime) / 1000 || 0.001;
+  const speed = (done - t.startOffset) / elapsed;
+  const eta = (t.size - done) / speed;
+  el.querySelector(".spd").textContent = formatSpeed(speed);
+  el.querySelector(".eta").textContent = "ETA: " + formatTime(eta);
+  if (t.codec) {
+    // Original bytes vs. what actually crossed the network
+    el.querySelector(".wire").textContent =
+      `🗜️ ${formatBytes(done)} as ${formatBytes(t.wire)} on the wire`;
+    el.querySelector(".wire-spd").textContent =
+      `${formatSpeed((t.wire - t.startWire) / elapsed)} wire`;
+  }
+}
+
+// A transfer is over. Completed ones show it for a moment; the rest go.
+function onTransferDone(t, outcome, { sha256 = "", file = null, repaired = false }) {
+  logTransfer(t, outcome, sha256);
+  const el = t.el;
+  if (outcome !== "completed") {
+    el?.remove();
+    return;
+  }
+  const peerName = t.session.name;
+  if (t.bench) {
+    reportBenchmark(t, t.direction === "out" ? `Benchmark to ${peerName}` : `Benchmark from ${peerName}`);
+  } else if (t.direction === "in") {
+    if (t.sink.kind === "memory") downloadFile(file, t.meta.name);
+    // A batch would open one preview after another, so only a lone file gets one
+    if (file && t.batch === 1 && previewKind(t.meta.name, t.meta.mime)) {
+      showPreview(file, t.meta.name, t.meta.mime);
+    }
+  }
+  if (!el) return;
+  if (t.bench && t.direction === "in") {
+    el.remove();
+    return;
+  }
+  el.querySelector(".progress-fill").style.width = "100%";
+  setTransferStatus(el, t.direction === "out" ? "✅ Sent!"
+    : `${repaired ? "✅ Verified (repaired)" : "✅ Verified"} · Received!`);
+  setTimeout(() => el.remove(), 3000);
+}
+
+function togglePause(id) {
+  const t = transfers.get(id);
+  if (!t?.el) return;
+  engine.pause(id, !t.paused);
+  showToast(t.paused ? "Transfer paused." : "Transfer resumed.");
+}
+
+// The sender's pump waits while paused; the receiver only shows it
+function showPaused(t) {
+  const btn = t.el?.querySelector(".pause-btn");
+  if (btn) btn.textContent = t.paused ? "▶️" : "⏸";
+  const speed = t.el?.querySelector(".spd");
+  if (t.paused && speed) speed.textContent = "⏸ Paused";
+}
+
+// The sender moves on to its next file either way; a receiver's cancel also
+// drops the rest of that sender's batch
+function cancelTransfer(id) {
+  if (!transfers.has(id)) return;
+  engine.cancel(id);
+  showToast("Transfer cancelled.");
+}
+
+function skipTransfer(id) {
+  const t = transfers.get(id);
+  if (t?.direction !== "in") return;
+  engine.skip(id);
+  showToast(`Skipped ${t.name}.`);
+}
+
+// ===== CLIPBOARD =====
+// Plain text pastes into the box as usual; a pasted image or rich text is
+// kept aside and sent along with it
+function onClipboardPaste(e) {
+  const data = e.clipboardData;
+  const image = [...data.items]
+    .find(item => item.kind === "file" && item.type.startsWith("image/"))?.getAsFile();
+  const html = data.getData("text/html");
+  if (!image && !html) return;
+  e.preventDefault();
+  if (image) setClipImage(image);
+  if (html) insertRichText(html, data.getData("text/plain"));
+}
+
+async function pasteFromClipboard() {
+  try {
+    const { text, html, image } = await readSystemClipboard();
+    if (image) setClipImage(image);
+    if (html) insertRichText(html, text || "");
+    else if (text) document.getElementById("clipboard-text").value = text;
+    if (!text && !html && !image) showToast("The clipboard is empty.");
+  } catch (err) {
+    console.warn("Clipboard read failed:", err);
+    showToast("Couldn't read the clipboard. Paste into the box instead.");
+  }
+}
+
+// The HTML only goes out while the box still holds exactly its text
+function insertRichText(html, text) {
+  const box = document.getElementById("clipboard-text");
+  box.setRangeText(text, box.selectionStart, box.selectionEnd, "end");
+  clipDraft.html = html;
+  clipDraft.htmlText = text;
+}
+
+function setClipImage(image) {
+  clipDraft.image = image;
+  const el = document.getElementById("clip-draft-image");
+  el.classList.remove("hidden");
+  el.innerHTML = `
+    <img src="${URL.createObjectURL(image)}" alt="Pasted image" />
+    <span class="file-size">${escHtml(image.type)} · ${formatBytes(image.size)}</span>
+    <button class="chip-x" onclick="clearClipImage()">✕</button>
+  `;
+}
+
+function clearClipImage() {
+  clipDraft.image = null;
+  const el = document.getElementById("clip-draft-image");
+  URL.revokeObjectURL(el.querySelector("img")?.src);
+  el.classList.add("hidden");
+  el.innerHTML = "";
+}
+
+// Resolves to { text, html, image } with whatever the system clipboard has
+async function readSystemClipboard() {
+  if (!navigator.clipboard?.read) return { text: await navigator.clipboard.readText() };
+  const item = {};
+  for (const entry of await navigator.clipboard.read()) {
+    const imageType = entry.types.find(t => t.startsWith("image/"));
+    if (imageType && !item.image) item.image = await entry.getType(imageType);
+    if (entry.types.includes("text/html") && !item.html) {
+      item.html = await (await entry.getType("text/html")).text();
+    }
+    if (entry.types.includes("text/plain") && !item.text) {
+      item.text = await (await entry.getType("text/plain")).text();
+    }
+  }
+  return item;
+}
+
+async function sendClipboard() {
+  const box = document.getElementById("clipboard-text");
+  const text = box.value.trim();
+  const html = clipDraft.html && text === clipDraft.htmlText.trim() ? clipDraft.html : null;
+  const image = clipDraft.image;
+  if (!text && !image) { showToast("Please enter some text or paste an image first."); return; }
+  const targets = openSessions();
+  if (!targets.length) { showToast("Not connected to any peer."); return; }
+  if (!await shareClip(targets, { text, html, image })) return;
+  showToast(image ? "Sent successfully!" : "Text sent successfully!");
+  box.value = "";
+  clipDraft = { html: null, htmlText: null, image: null };
+  clearClipImage();
+}
+
+// Returns false if the item can't go over the clipboard channel
+async function shareClip(targets, { text = "", html = null, image = null, live = false }) {
+  if (image?.size > CLIP_MAX_IMAGE) {
+    showToast("That image is too large for the clipboard. Send it as a file instead.");
+    return false;
+  }
+  const bytes = image ? new Uint8Array(await image.arrayBuffer()) : null;
+  const parts = [];
+  for (let i = 0; bytes && i < bytes.length; i += CLIP_PART_SIZE) {
+    parts.push(toBase64(bytes.subarray(i, i + CLIP_PART_SIZE)));
+  }
+  const id = makeId();
+  targets.forEach(session => {
+    sendMsg(session, {
+      type: "clipboard",
+      id,
+      text,
+      html: html?.length <= CLIP_MAX_HTML ? html : null,
+      image: image ? { mime: image.type, size: image.size, parts: parts.length } : null,
+      live
+    });
+    parts.forEach((data, index) => sendMsg(session, { type: "clipboard-part", id, index, data }));
+  });
+  return true;
+}
+
+// Parts of a clipboard image still on the way go down with the channel
+function dropIncomingClips(session) {
+  incomingClips.forEach((clip, id) => {
+    if (clip.session !== session) return;
+    clearTimeout(clip.timer);
+    incomingClips.delete(id);
+  });
+}
+
+function addClip(session, msg, image) {
+  const item = {
+    id: msg.id,
+    from: session.name,
+    time: Date.now(),
+    text: msg.text,
+    html: typeof msg.html === "string" && msg.html ? msg.html : null,
+    image,
+    url: image ? URL.createObjectURL(image) : null
+  };
+  clipboardHistory.unshift(item);
+  clipboardHistory.splice(CLIP_HISTORY_MAX).forEach(old => old.url && URL.revokeObjectURL(old.url));
+  renderClipboardHistory();
+  // Live-synced items shouldn't pull the user away from what they're doing
+  if (!msg.live) switchTransferTab("clip");
+  showToast(image ? "Image received!" : "Text received!");
+}
+
+function renderClipboardHistory() {
+  const el = document.getElementById("received-clipboard");
+  if (!clipboardHistory.length) {
+    el.innerHTML = `<p class="hint">Nothing received yet...</p>`;
+    return;
+  }
+  el.innerHTML = "";
+  clipboardHistory.forEach(c => {
+    const item = document.createElement("div");
+    item.className = "clip-item";
+    item.innerHTML = `
+      <div class="clip-meta">
+        ${escHtml(c.from)} · ${new Date(c.time).toLocaleTimeString()}
+        ${c.html ? `<span class="clip-badge">Rich text</span>` : ""}
+      </div>
+      ${c.url ? `<img class="clip-image" src="${c.url}" alt="Received image" />` : ""}
+      ${c.text ? `<div class="clip-text">${escHtml(c.text)}</div>` : ""}
+      <div class="clip-item-actions">
+        <button class="btn btn-ghost small-btn copy-btn">📋 Copy</button>
+        ${c.image ? `<button class="btn btn-ghost small-btn save-btn">⬇️ Save</button>` : ""}
+      </div>
+    `;
+    onClick(item, ".clip-image", () => previewClip(c.id));
+    onClick(item, ".copy-btn", () => copyClip(c.id));
+    onClick(item, ".save-btn", () => saveClip(c.id));
+    el.appendChild(item);
+  });
+}
+
+async function copyClip(id) {
+  const item = clipboardHistory.find(c => c.id === id);
+  if (!item) return;
+  try {
+    if ((item.image || item.html) && window.ClipboardItem) {
+      const data = {};
+      if (item.image) data["image/png"] = await toPng(item.image);
+      if (item.html) data["text/html"] = new Blob([item.html], { type: "text/html" });
+      if (item.text) data["text/plain"] = new Blob([item.text], { type: "text/plain" });
+      await navigator.clipboard.write([new ClipboardItem(data)]);
+    } else {
+      await navigator.clipboard.writeText(item.text);
+    }
+    // Live sync shouldn't bounce it straight back
+    clipSyncSkip = true;
+    showToast("Copied to clipboard!");
+  } catch (err) {
+    console.warn("Clipboard write failed:", err);
+    showToast(item.image ? "Couldn't copy the image. Use Save instead." : "Couldn't copy to the clipboard.");
+  }
+}
+
+function saveClip(id) {
+  const item = clipboardHistory.find(c => c.id === id);
+  if (!item?.image) return;
+  const ext = item.image.type.split("/")[1]?.split("+")[0] || "png";
+  downloadFile(item.image, `clipboard-${new Date(item.time).toISOString().slice(0, 19).replace(/:/g, "-")}.${ext}`);
+}
+
+function previewClip(id) {
+  const item = clipboardHistory.find(c => c.id === id);
+  if (item?.image) showPreview(item.image, "Clipboard image");
+}
+
+// Browsers only take PNG images on the clipboard
+async function toPng(image) {
+  if (image.type === "image/png") return image;
+  const bitmap = await createImageBitmap(image);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+}
+
+// ===== LIVE CLIPBOARD SYNC =====
+// Opt-in. Only polls while this tab has focus, which is also when browsers
+// allow reading the clipboard. What's on it when sync starts isn't sent.
+function toggleLiveSync(on) {
+  clearInterval(clipSyncTimer);
+  clipSyncTimer = null;
+  if (!on) return;
+  lastClipSignature = null;
+  clipSyncTimer = setInterval(pollClipboard, CLIP_SYNC_INTERVAL);
+  pollClipboard();
+  showToast("Live sync on. Whatever you copy here is sent to connected devices.");
+}
+
+async function pollClipboard() {
+  if (clipSyncBusy || document.hidden || !document.hasFocus()) return;
+  clipSyncBusy = true;
+  try {
+    const item = await readSystemClipboard();
+    const signature = clipSignature(item);
+    if (signature === lastClipSignature) return;
+    const first = lastClipSignature === null;
+    lastClipSignature = signature;
+    if (first || clipSyncSkip) {
+      clipSyncSkip = false;
+      return;
+    }
+    const targets = openSessions();
+    if (targets.length && (item.text?.trim() || item.image)) {
+      await shareClip(targets, { ...item, live: true });
+    }
+  } catch (err) {
+    console.warn("Live sync stopped:", err);
+    document.getElementById("clip-live").checked = false;
+    toggleLiveSync(false);
+    showToast("Live sync needs permission to read the clipboard.");
+  } finally {
+    clipSyncBusy = false;
+  }
+}
+
+function clipSignature({ text, html, image }) {
+  return [text || "", html?.length || 0, image ? `${image.type}:${image.size}` : ""].join("|");
+}
+
+// ===== CHAT =====
+// Messages go straight to each connected device; in a room, guests only
+// talk to the host, not to each other.
+function sendChat() {
+  const input = document.getElementById("chat-input");
+  const text = input.value.trim();
+  if (!text) return;
+  const targets = openSessions();
+  if (!targets.length) { showToast("Not connected to any peer."); return; }
+  const entry = {
+    id: makeId(),
+    kind: "out",
+    text,
+    time: Date.now(),
+    targets: new Set(targets.map(s => s.id)),
+    delivered: new Set(),
+    read: new Set()
+  };
+  targets.forEach(session => {
+    sendMsg(session, { type: "chat", id: entry.id, text, time: entry.time });
+    sendMsg(session, { type: "chat-typing", typing: false });
+  });
+  clearTimeout(typingStopTimer);
+  typingSentAt = 0;
+  input.value = "";
+  chatMessages.push(entry);
+  renderChat();
+}
+
+function receiveChat(session, msg) {
+  if (typeof msg.text !== "string" || !msg.text) return;
+  showTyping(session, false);
+  chatMessages.push({
+    id: msg.id,
+    kind: "in",
+    text: msg.text,
+    time: Date.now(),
+    from: session.name,
+    session,
+    acked: "delivered"
+  });
+  sendMsg(session, { type: "chat-ack", id: msg.id, state: "delivered" });
+  if (chatVisible()) {
+    markChatRead();
+  } else {
+    chatUnread++;
+    showToast(`💬 ${session.name}: ${msg.text.slice(0, 60)}`);
+  }
+  renderChat();
+}
+
+function onChatAck(session, msg) {
+  const entry = chatMessages.find(m => m.id === msg.id && m.kind === "out");
+  if (!entry?.targets.has(session.id)) return;
+  entry.delivered.add(session.id);
+  if (msg.state === "read") entry.read.add(session.id);
+  renderChat();
+}
+
+// Read receipts go out once the thread is actually on screen
+function markChatRead() {
+  if (!chatVisible()) return;
+  chatUnread = 0;
+  chatMessages.forEach(m => {
+    if (m.kind !== "in" || m.acked === "read") return;
+    m.acked = "read";
+    if (isOpen(m.session)) sendMsg(m.session, { type: "chat-ack", id: m.id, state: "read" });
+  });
+  renderChatBadge();
+}
+
+function chatVisible() {
+  return !document.hidden && document.hasFocus() &&
+    document.getElementById("screen-transfer").classList.contains("active") &&
+    !document.getElementById("tcontent-chat").classList.contains("hidden");
+}
+
+// Sends "typing" at most every TYPING_INTERVAL, and "stopped" after a pause
+function onChatInput() {
+  const targets = openSessions();
+  const typing = !!document.getElementById("chat-input").value.trim();
+  clearTimeout(typingStopTimer);
+  if (typing && Date.now() - typingSentAt > TYPING_INTERVAL) {
+    typingSentAt = Date.now();
+    targets.forEach(s => sendMsg(s, { type: "chat-typing", typing: true }));
+  }
+  if (!typingSentAt) return;
+  typingStopTimer = setTimeout(() => {
+    typingSentAt = 0;
+    openSessions().forEach(s => sendMsg(s, { type: "chat-typing", typing: false }));
+  }, typing ? TYPING_INTERVAL : 0);
+}
+
+function showTyping(session, typing) {
+  clearTimeout(session.typingTimer);
+  session.typing = !!typing;
+  if (typing) session.typingTimer = setTimeout(() => showTyping(session, false), TYPING_TIMEOUT);
+  const names = openSessions().filter(s => s.typing).map(s => s.name);
+  document.getElementById("chat-typing").textContent = names.length
+    ? `${names.join(", ")} ${names.length > 1 ? "are" : "is"} typing…`
+    : "";
+}
+
+// Transfer events show up in the thread too (see logTransfer)
+function addSystemMessage(text) {
+  chatMessages.push({ id: makeId(), kind: "system", text, time: Date.now() });
+  renderChat();
+}
+
+function renderChat() {
+  const el = document.getElementById("chat-thread");
+  const stick = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+  el.innerHTML = chatMessages.length
+    ? chatMessages.map(chatMessageHtml).join("")
+    : `<p class="hint">No messages yet. Say hi 👋</p>`;
+  if (stick) el.scrollTop = el.scrollHeight;
+  renderChatBadge();
+}
+
+function chatMessageHtml(m) {
+  const time = new Date(m.time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  if (m.kind === "system") {
+    return `<div class="chat-system">${escHtml(m.text)} · ${time}</div>`;
+  }
+  return `
+    <div class="chat-msg ${m.kind}">
+      ${m.kind === "in" && chatMessages.some(o => o.kind === "out" || o.from !== m.from)
+        ? `<div class="chat-from">${escHtml(m.from)}</div>` : ""}
+      <div class="chat-text">${linkify(m.text)}</div>
+      <div class="chat-meta">${time}${m.kind === "out" ? " " + chatReceipt(m) : ""}</div>
+    </div>
+  `;
+}
+
+// ✓ sent, ✓✓ delivered, blue ✓✓ read — by every device it went to
+function chatReceipt(m) {
+  if (m.read.size && m.read.size >= m.targets.size) {
+    return `<span class="chat-receipt read" title="Read">✓✓</span>`;
+  }
+  if (m.delivered.size >= m.targets.size) {
+    return `<span class="chat-receipt" title="Delivered">✓✓</span>`;
+  }
+  return `<span class="chat-receipt" title="Sent">✓</span>`;
+}
+
+function renderChatBadge() {
+  const badge = document.getElementById("chat-badge");
+  badge.textContent = chatUnread;
+  badge.classList.toggle("hidden", !chatUnread);
+}
+
+// Escapes the text, then turns http(s) URLs into links that open in a new tab
+function linkify(text) {
+  return escHtml(text).replace(/\bhttps?:\/\/[^\s<>"']+/g, (match) => {
+    const url = match.replace(/[.,;:!?)\]]+$/, "");
+    const rest = match.slice(url.length);
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>${rest}`;
+  });
+}
+
+// ===== BENCHMARK =====
+// Asks every connected device for BENCH_SIZE random bytes, sent through the
+// real pipeline, which we verify and discard (see benchmark in engine.js).
+// Both ends report the rate.
+function runBenchmark() {
+  const targets = openSessions();
+  if (!targets.length) { showToast("Not connected to any peer."); return; }
+  targets.forEach(session => engine.benchmark(session));
+  showToast(`Benchmark: receiving ${formatBytes(BENCH_SIZE)}...`);
+}
+
+function reportBenchmark(t, label) {
+  const seconds = Math.max(1, Date.now() - t.startTime) / 1000;
+  const mbps = (t.size - t.startOffset) / 1e6 / seconds;
+  const chunk = t.direction === "out" ? ` · ${formatBytes(t.session.tuning.size)} chunks` : "";
+  const text = `⏱️ ${label}: ${formatBytes(t.size)} in ${seconds.toFixed(1)}s — ${mbps.toFixed(1)} MB/s${chunk}`;
+  addSystemMessage(text);
+  showToast(text, 6000);
+}
+
+// ===== DIAGNOSTICS =====
+// Reads the peer connection's stats once a second while the panel is open:
+// which path the data takes, round trip, throughput and buffer levels.
+function toggleDiagnostics() {
+  const panel = document.getElementById("diag-panel");
+  const open = panel.classList.toggle("hidden") === false;
+  clearInterval(diagTimer);
+  diagTimer = open ? setInterval(sampleDiagnostics, DIAG_INTERVAL) : null;
+  if (open) sampleDiagnostics();
+}
+
+function closeDiagnostics() {
+  clearInterval(diagTimer);
+  diagTimer = null;
+  document.getElementById("diag-panel").classList.add("hidden");
+}
+
+function logDiag(text) {
+  diagEvents.push({ time: Date.now(), text });
+  diagEvents.splice(0, diagEvents.length - DIAG_EVENTS);
+  if (diagTimer) renderDiagEvents();
+}
+
+async function sampleDiagnostics() {
+  await Promise.all(openSessions().map(async session => {
+    let stats;
+    try {
+      stats = await readStats(session);
+    } catch (err) {
+      console.warn("getStats failed:", err);
+      return;
+    }
+    // Counters start over with every connection
+    if (session.diag?.conn !== session.conn) {
+      session.diag = { conn: session.conn, samples: [], last: null };
+    }
+    const diag = session.diag;
+    const last = diag.last;
+    if (last && stats.time > last.time) {
+      const seconds = (stats.time - last.time) / 1000;
+      diag.samples.push({
+        sent: Math.max(0, stats.bytesSent - last.bytesSent) / seconds,
+        received: Math.max(0, stats.bytesReceived - last.bytesReceived) / seconds
+      });
+      diag.samples.splice(0, diag.samples.length - DIAG_SAMPLES);
+    }
+    diag.last = stats;
+  }));
+  renderDiagnostics();
+}
+
+// The selected candidate pair and its transport: Chrome names it on the
+// transport, Firefox flags the pair
+async function readStats(session) {
+  const report = await session.conn.peerConnection.getStats();
+  const stats = new Map();
+  report.forEach(s => stats.set(s.id, s));
+  const all = [...stats.values()];
+  const transport = all.find(s => s.type === "transport" && s.selectedCandidatePairId);
+  const pair = transport
+    ? stats.get(transport.selectedCandidatePairId)
+    : all.find(s => s.type === "candidate-pair" && s.selected) ||
+      all.find(s => s.type === "candidate-pair" && s.nominated && s.state === "succeeded");
+  const local = pair && stats.get(pair.localCandidateId);
+  const remote = pair && stats.get(pair.remoteCandidateId);
+  return {
+    time: Date.now(),
+    local: local?.candidateType || null,
+    remote: remote?.candidateType || null,
+    protocol: local?.protocol || null,
+    relayProtocol: local?.relayProtocol || null,
+    rtt: pair?.currentRoundTripTime ?? null,
+    bytesSent: pair?.bytesSent ?? transport?.bytesSent ?? 0,
+    bytesReceived: pair?.bytesReceived ?? transport?.bytesReceived ?? 0,
+    outgoingBitrate: pair?.availableOutgoingBitrate ?? null
+  };
+}
+
+function describePath(stats) {
+  if (!stats?.local) return "Unknown (no selected candidate pair yet)";
+  const types = `${stats.local} ↔ ${stats.remote || "?"}, ${stats.protocol || "?"}`;
+  if (stats.local === "relay" || stats.remote === "relay") {
+    return `🐢 Relayed through TURN${stats.relayProtocol ? ` over ${stats.relayProtocol}` : ""} (${types})`;
+  }
+  if (stats.local === "host" && stats.remote === "host") return `🏠 Direct, same network (${types})`;
+  return `🌐 Direct through NAT (${types})`;
+}
+
+function diagSession() {
+  const list = openSessions();
+  return list.find(s => s.id === diagPeerId) || list[0] || null;
+}
+
+function selectDiagPeer(id) {
+  diagPeerId = id;
+  renderDiagnostics();
+}
+
+function renderDiagnostics() {
+  const list = openSessions();
+  const session = diagSession();
+  const select = document.getElementById("diag-peer");
+  select.classList.toggle("hidden", list.length < 2);
+  select.innerHTML = list.map(s =>
+    `<option value="${escHtml(s.id)}" ${s === session ? "selected" : ""}>${escHtml(s.name)}</option>`
+  ).join("");
+
+  const stats = session?.diag?.last;
+  const sample = session?.diag?.samples.at(-1);
+  const rows = session ? [
+    ["Path", describePath(stats)],
+    ["Round trip", stats?.rtt != null ? `${Math.round(stats.rtt * 1000)} ms` : "—"],
+    ["Sending", sample ? formatSpeed(sample.sent) : "—"],
+    ["Receiving", sample ? formatSpeed(sample.received) : "—"],
+    ["Estimated capacity", stats?.outgoingBitrate ? `${(stats.outgoingBitrate / 1e6).toFixed(1)} Mbit/s` : "—"],
+    ["Chunk size", formatBytes(session.tuning.size)],
+    ["Encryption", session.key ? "Passphrase (AES-GCM) + DTLS" : "DTLS"]
+  ] : [["Status", "Not connected"]];
+  document.getElementById("diag-stats").innerHTML = rows.map(([k, v]) =>
+    `<div class="diag-row"><span>${k}</span><span>${escHtml(v)}</span></div>`
+  ).join("");
+
+  // Channel buffer against the level the send loop waits at
+  const queued = session ? backlog(session) : 0;
+  const limit = session ? bufferLimit(session.tuning.size) : 1;
+  document.getElementById("diag-buffer-fill").style.width = `${Math.min(100, (queued / limit) * 100)}%`;
+  document.getElementById("diag-buffer-label").textContent = session
+    ? `Channel buffer: ${formatBytes(queued)} of ${formatBytes(limit)}`
+    : "";
+
+  drawDiagGraph(session?.diag?.samples || []);
+  renderDiagEvents();
+}
+
+function drawDiagGraph(samples) {
+  const canvas = document.getElementById("diag-graph");
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  const max = Math.max(1, ...samples.map(s => Math.max(s.sent, s.received)));
+  const style = getComputedStyle(document.documentElement);
+  const line = (key, color) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    samples.forEach((s, i) => {
+      const x = width - (samples.length - 1 - i) * (width / (DIAG_SAMPLES - 1));
+      const y = height - 4 - (s[key] / max) * (height - 8);
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+  };
+  line("sent", style.getPropertyValue("--accent").trim());
+  line("received", style.getPropertyValue("--green").trim());
+  ctx.fillStyle = style.getPropertyValue("--text2").trim();
+  ctx.font = "11px monospace";
+  ctx.fillText(`${formatSpeed(max)} peak`, 6, 14);
+}
+
+function renderDiagEvents() {
+  document.getElementById("diag-events").innerHTML = diagEvents.length
+    ? diagEvents.slice().reverse().map(e =>
+      `<div>${new Date(e.time).toLocaleTimeString()} · ${escHtml(e.text)}</div>`
+    ).join("")
+    : `<div>No connection events yet.</div>`;
+}
+
+// Plain-text report for bug reports. Leaves out TURN credentials and IP
+// addresses.
+function diagnosticsReport() {
+  const lines = [
+    `DropBeam diagnostics — ${new Date().toISOString()}`,
+    `Protocol ${PROTOCOL_VERSION} · ${navigator.userAgent}`,
+    `Signaling: ${appConfig.host}:${appConfig.port}${appConfig.path} (${appConfig.secure ? "TLS" : "no TLS"})`,
+    `ICE servers: ${appConfig.iceServers.map(s => [].concat(s.urls).join(" ")).join(", ") || "none"}`,
+    ""
+  ];
+  openSessions().forEach(session => {
+    const stats = session.diag?.last;
+    const sample = session.diag?.samples.at(-1);
+    lines.push(
+      `Device "${session.name}"`,
+      `  Path: ${describePath(stats)}`,
+      `  RTT: ${stats?.rtt != null ? `${Math.round(stats.rtt * 1000)} ms` : "n/a"}`,
+      `  Throughput: ${sample ? `${formatSpeed(sample.sent)} out, ${formatSpeed(sample.received)} in` : "n/a"}`,
+      `  Buffer: ${formatBytes(backlog(session))} of ${formatBytes(bufferLimit(session.tuning.size))}`,
+      `  Chunk size: ${formatBytes(session.tuning.size)} · max message ${session.conn.peerConnection?.sctp?.maxMessageSize ?? "n/a"}`,
+      `  Passphrase: ${session.key ? "yes" : "no"} · compression: ${session.codecs?.join(", ") || "none"}`,
+      ""
+    );
+  });
+  lines.push("Recent events:");
+  diagEvents.forEach(e => lines.push(`  ${new Date(e.time).toISOString()} ${e.text}`));
+  return lines.join("\n");
+}
+
+async function copyDiagnostics() {
+  await sampleDiagnostics();
+  try {
+    await navigator.clipboard.writeText(diagnosticsReport());
+    showToast("Diagnostics copied. Paste them into your bug report.");
+  } catch (err) {
+    console.warn("Clipboard write failed:", err);
+    showToast("Couldn't copy to the clipboard.");
+  }
+}
+
+// ===== STORAGE =====
+function openDb() {
+  dbPromise ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      DB_STORES.forEach(name => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// Runs `fn(store)` in one transaction and resolves with its request's result
+async function dbRun(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ===== HISTORY =====
+// One entry per file, whatever became of it:
+// { id, time, peer, direction: "sent" | "received", name, size,
+//   duration (ms), speed (bytes/s), hash, outcome }
+// where outcome is "completed", "cancelled", "rejected" or "failed".
+async function loadHistory() {
+  try {
+    const entries = await dbRun("history", "readonly", store => store.getAll());
+    transferHistory = entries.sort((a, b) => b.time - a.time);
+  } catch (err) {
+    console.warn("History storage unavailable:", err);
+  }
+  renderHistory();
+}
+
+// `t` is a transfer, or { session, direction, name, size } for a file that
+// never got that far
+function logTransfer(t, outcome, hash = "") {
+  if (t.bench) return;
+  const duration = t.startTime ? Date.now() - t.startTime : 0;
+  const entry = {
+    id: makeId(),
+    time: Date.now(),
+    peer: t.session.name,
+    direction: t.direction === "out" ? "sent" : "received",
+    name: t.name,
+    size: t.size,
+    duration,
+    speed: outcome === "completed" && duration
+      ? Math.round((t.size - t.startOffset) / (duration / 1000))
+      : 0,
+    hash,
+    outcome
+  };
+  transferHistory.unshift(entry);
+  renderHistory();
+  addSystemMessage(`${entry.direction === "sent" ? "📤" : "📥"} ${entry.name} ${{
+    completed: entry.direction === "sent" ? `sent to ${entry.peer}` : `received from ${entry.peer}`,
+    cancelled: "cancelled",
+    rejected: entry.direction === "sent" ? `declined by ${entry.peer}` : "declined",
+    failed: "failed"
+  }[outcome] || outcome}`);
+  dbRun("history", "readwrite", store => store.add(entry))
+    .catch(err => console.warn("Couldn't save history entry:", err));
+}
+
+// A file from an offered manifest
+function logOffered(session, f, outcome) {
+  logTransfer({ session, direction: "in", name: f.path || f.name, size: f.size }, outcome);
+}
+
+function deleteHistory(id) {
+  transferHistory = transferHistory.filter(h => h.id !== id);
+  renderHistory();
+  dbRun("history", "readwrite", store => store.delete(id))
+    .catch(err => console.warn("Couldn't delete history entry:", err));
+}
+
+function filteredHistory() {
+  const query = document.getElementById("history-search").value.trim().toLowerCase();
+  const direction = document.getElementById("history-direction").value;
+  const outcome = document.getElementById("history-outcome").value;
+  return transferHistory.filter(h =>
+    (!direction || h.direction === direction) &&
+    (!outcome || h.outcome === outcome) &&
+    (!query || h.name.toLowerCase().includes(query) ||
+      h.peer.toLowerCase().includes(query) || h.hash.startsWith(query))
+  );
+}
+
+function renderHistory() {
+  const el = document.getElementById("transfer-history");
+  if (!transferHistory.length) {
+    el.innerHTML = `<p class="hint">No transfers yet.</p>`;
+    return;
+  }
+  const list = filteredHistory();
+  if (!list.length) {
+    el.innerHTML = `<p class="hint">No transfers match.</p>`;
+    return;
+  }
+  const outcomes = { completed: "✅", cancelled: "⛔", rejected: "🚫", failed: "⚠️" };
+  el.innerHTML = list.map(h => {
+    const sent = h.direction === "sent";
+    const details = [
+      `${sent ? "Sent to" : "Received from"} ${escHtml(h.peer)}`,
+      formatBytes(h.size),
+      h.duration ? formatDuration(h.duration) : "",
+      h.speed ? formatSpeed(h.speed) : "",
+      new Date(h.time).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })
+    ].filter(Boolean).join(" · ");
+    return `
+      <div class="history-item">
+        <div style="font-size:1.3rem">${sent ? "📤" : "📥"}</div>
+        <div style="flex:1;min-width:0">
+          <div style="font-size:0.85rem;font-weight:500;
+            white-space:nowrap;overflow:hidden;text-overflow:ellipsis">
+            ${escHtml(h.name)}
+          </div>
+          <div style="font-size:0.72rem;color:var(--text2)">
+            ${outcomes[h.outcome]} ${h.outcome} · ${details}
+          </div>
+          ${h.hash ? `<div class="history-hash" title="${h.hash}">SHA-256 ${h.hash.slice(0, 16)}…</div>` : ""}
+        </div>
+        <button class="chip-x" title="Delete entry" onclick="deleteHistory('${h.id}')">✕</button>
+      </div>
+    `;
+  }).join("");
+}
+
+// Exports what the search and filters currently show
+function exportHistory(format) {
+  const list = filteredHistory();
+  if (!list.length) {
+    showToast("Nothing to export.");
+    return;
+  }
+  const rows = list.map(h => ({ ...h, time: new Date(h.time).toISOString() }));
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    const json = JSON.stringify(rows.map(({ id, ...h }) => h), null, 2);
+    downloadFile(new Blob([json], { type: "application/json" }), `dropbeam-history-${stamp}.json`);
+    return;
+  }
+  const cell = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const csv = [HISTORY_COLUMNS, ...rows.map(h => HISTORY_COLUMNS.map(c => h[c]))]
+    .map(row => row.map(cell).join(","))
+    .join("\r\n");
+  downloadFile(new Blob([csv], { type: "text/csv" }), `dropbeam-history-${stamp}.csv`);
+}
+
+// ===== TAB SWITCHING =====
+function switchTransferTab(tab) {
+  ["files", "chat", "clip", "hist"].forEach(t => {
+    document.getElementById("tcontent-" + t).classList.toggle("hidden", t !== tab);
+    document.getElementById("ttab-" + t).classList.toggle("active", t === tab);
+  });
+  if (tab === "chat") {
+    markChatRead();
+    const thread = document.getElementById("chat-thread");
+    thread.scrollTop = thread.scrollHeight;
+  }
+}
+
+// ===== MISC =====
+function copyRoomCode() {
+  if (!roomCode) return;
+  navigator.clipboard.writeText(roomCode)
+    .then(() => showToast("Room code copied! Share it with the receiver."));
+}
+
+function toggleTheme() {
+  const html = document.documentElement;
+  const isLight = html.getAttribute("data-theme") === "light";
+  html.setAttribute("data-theme", isLight ? "dark" : "light");
+  document.getElementById("theme-btn").textContent = isLight ? "🌙" : "☀️";
+}
+
+function renameDevice() {
+  const name = prompt("Enter new device name:", deviceName);
+  if (name?.trim()) {
+    deviceName = name.trim().slice(0, NAME_MAX);
+    localStorage.setItem("dropbeam-name", deviceName);
+    document.getElementById("device-name-display").textContent = deviceName;
+    updateDeviceEmoji();
+    announcePresence();
+    showToast("Device renamed to: " + deviceName);
+  }
+}
+
+function updateDeviceEmoji() {
+  const ua = navigator.userAgent;
+  const isMobile = /iPhone|Android.*Mobile|iPad/i.test(ua);
+  document.getElementById("device-emoji").textContent = isMobile ? "📱" : "💻";
+}
+
+function guessDeviceName() {
+  const ua = navigator.userAgent;
+  if (/iPhone/.test(ua)) return "iPhone";
+  if (/iPad/.test(ua)) return "iPad";
+  if (/Android.*Mobile/.test(ua)) return "Android Phone";
+  if (/Android/.test(ua)) return "Android Tablet";
+  if (/Mac/.test(ua)) return "MacBook";
+  if (/Windows/.test(ua)) return "Windows PC";
+  return "My Device";
+}
+
+function disconnect() {
+  engine.forget();
+  cleanup();
+  showScreen("home");
+  showToast("Disconnected.");
+}
+
+function cleanup() {
+  stopCamera();
+  closeDiagnostics();
+  closeManifest();
+  verifyQueue = [];
+  showVerification();
+  // Keeps queues and partial data around while a resume is possible
+  engine.reset();
+  renderPeers();
+  if (!suspendedSessions.size) pendingFiles = [];
+}
+
+// ===== TOAST =====
+function showToast(msg, duration = 3000) {
+  const tc = document.getElementById("toast-container");
+  const t = document.createElement("div");
+  t.className = "toast";
+  t.textContent = msg;
+  tc.appendChild(t);
+  setTimeout(() => t.remove(), duration + 400);
+}
+
+// ===== HELPERS =====
+function peerEmoji(name) {
+  return /phone|iphone|android/i.test(name) ? "📱" : "💻";
+}
+
+function formatSpeed(bps) { return formatBytes(bps) + "/s"; }
+
+function formatTime(sec) {
+  if (!isFinite(sec) || sec > 3600) return "calculating...";
+  if (sec < 60) return Math.ceil(sec) + "s";
+  return Math.floor(sec / 60) + "m " + Math.ceil(sec % 60) + "s";
+}
+
+function formatDuration(ms) {
+  const sec = Math.max(1, Math.round(ms / 1000));
+  if (sec < 3600) return formatTime(sec);
+  return Math.floor(sec / 3600) + "h " + Math.floor((sec % 3600) / 60) + "m";
+}
+
+function getFileEmoji(name) {
+  const ext = name.split(".").pop().toLowerCase();
+  const map = {
+    jpg:"🖼️", jpeg:"🖼️", png:"🖼️", gif:"🖼️", webp:"🖼️", svg:"🖼️",
+    mp4:"🎬", mov:"🎬", avi:"🎬", mkv:"🎬",
+    mp3:"🎵", wav:"🎵", flac:"🎵", aac:"🎵",
+    pdf:"📄", doc:"📝", docx:"📝",
+    xls:"📊", xlsx:"📊", csv:"📊",
+    zip:"🗜️", rar:"🗜️", "7z":"🗜️",
+    js:"💻", ts:"💻", py:"💻", html:"💻", css:"💻",
+  };
+  return map[ext] || "📁";
+}
+
+// The peer picks transfer and clipboard IDs, so handlers that take one are
+// bound here instead of being spliced into an onclick attribute
+function onClick(root, selector, fn) {
+  root.querySelector(selector)?.addEventListener("click", fn);
+}
+
+// Safe in text and in quoted attribute values
+function escHtml(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Walks a dropped folder, remembering each file's path inside the drop.
+// readEntries() hands out at most ~100 entries per call, so read until empty.
+async function readDir(entry, files) {
+  const reader = entry.createReader();
+  for (;;) {
+    const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!entries.length) return;
+    for (const e of entries) {
+      if (e.isFile) {
+        const f = await new Promise((resolve, reject) => e.file(resolve, reject));
+        filePaths.set(f, e.fullPath.replace(/^\//, ""));
+        files.push(f);
+      } else if (e.isDirectory) {
+        await readDir(e, files);
+      }
+    }
+  }
+}
+
+function filePath(file) {
+  return filePaths.get(file) || file.webkitRelativePath || file.name;
+}
+
+// "proj/src/a.js" -> "proj"; null for a loose file
+function topFolder(path) {
+  const slash = path.indexOf("/");
+  return slash > 0 ? path.slice(0, slash) : null;
+}
+
+// ===== BACKGROUND ANIMATION =====
+function initBackground() {
+  const canvas = document.getElementById("bg-canvas");
+  const ctx = canvas.getContext("2d");
+  let w, h;
+
+  const resize = () => {
+    w = canvas.width = window.innerWidth;
+    h = canvas.height = window.innerHeight;
+  };
+  resize();
+  window.addEventListener("resize", resize);
+
+  const dots = Array.from({ length: 55 }, () => ({
+    x: Math.random() * window.innerWidth,
+    y: Math.random() * window.innerHeight,
+    vx: (Math.random() - 0.5) * 0.4,
+    vy: (Math.random() - 0.5) * 0.4,
+    r: Math.random() * 1.8 + 0.5,
+  }));
+
+  function draw() {
+    ctx.clearRect(0, 0, w, h);
+    const dark = document.documentElement.getAttribute("data-theme") !== "light";
+    const dotClr = dark ? "rgba(108,99,255,0.7)" : "rgba(108,99,255,0.35)";
+    const lineClr = dark ? "rgba(108,99,255,0.07)" : "rgba(108,99,255,0.05)";
+
+    for (let i = 0; i < dots.length; i++) {
+      const d = dots[i];
+      d.x += d.vx;
+      d.y += d.vy;
+      if (d.x < 0 || d.x > w) d.vx *= -1;
+      if (d.y < 0 || d.y > h) d.vy *= -1;
+
+      ctx.beginPath();
+      ctx.arc(d.x, d.y, d.r, 0, Math.PI * 2);
+      ctx.fillStyle = dotClr;
+      ctx.fill();
+
+      for (let j = i + 1; j < dots.length; j++) {
+        const q = dots[j];
+        const dx = d.x - q.x;
+        const dy = d.y - q.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < 140) {
+          ctx.beginPath();
+          ctx.moveTo(d.x, d.y);
+          ctx.lineTo(q.x, q.y);
+          ctx.strokeStyle = lineClr;
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
+      }
+    }
+    requestAnimationFrame(draw);
+  }
+  draw();
 }
\ No newline at end of file
@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+// DropBeam — cli/dropbeam.js
+// Headless peer for servers and scripts. It runs the same transfer engine as
+// the web app (engine.js), so it sends to and receives from any browser
+// running DropBeam, or another copy of itself.
+//
+//   dropbeam send <file|folder>... [--to CODE]
+//   dropbeam receive [CODE]
+//
+// Without a code it opens a room and prints the code to enter on the other
+// device; with one it joins that room. Exits once the files are through:
+// 0 if all of them made it, 1 otherwise.
+//
+// Options:
+//   --name NAME          device name shown on the other side (default: hostname)
+//   --out DIR            where received files go (default: current directory)
+//   --max-size MB        turn away larger files (files that won't fit on the
+//                        disk are always turned away)
+//   --passphrase TEXT    room passphrase; both devices need the same one
+//   --signal HOST[:PORT][/PATH]  signaling server, e.g. server/server.js
+//   --insecure           talk to the signaling server without TLS
+//   --key KEY            PeerJS API key (default "peerjs")
+//   --ice URL,...        STUN/TURN server URLs
+//   --words              room code as three words instead of a PIN
+//   --app URL            where the web app lives, to print a join link
+//   --yes                confirm the verification code and accept every file
+//                        without asking (only on networks you trust)
+//
+// Node has no WebRTC of its own, so unlike server.js this needs packages,
+// and Node 22 or later for the WebSocket PeerJS signals over. From the repo:
+//   npm install            then run it as node cli/dropbeam.js, or
+//   npm install -g .       after that to put `dropbeam` on the PATH
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline/promises");
+const { parseArgs } = require("util");
+
+// PeerJS is written for browsers; node-datachannel supplies the WebRTC part
+const { RTCPeerConnection, RTCSessionDescription, RTCIceCandidate } =
+  require("node-datachannel/polyfill");
+Object.assign(globalThis, { RTCPeerConnection, RTCSessionDescription, RTCIceCandidate });
+const { Peer } = require("peerjs");
+
+// The app's scripts share one global scope in the browser; engine.js
+// expects sha256.js and words.js there
+Object.assign(globalThis, require("../sha256.js"), require("../words.js"));
+const { createEngine, safePath, formatBytes, makeId } = require("../engine.js");
+
+// Same defaults and room code rules as app.js
+const DEFAULT_ICE = [
+  "stun:stun.l.google.com:19302",
+  "stun:stun1.l.google.com:19302",
+  "stun:stun2.l.google.com:19302"
+];
+const ROOM_PREFIX = "dropbeam-";
+const ROOM_CODE_ATTEMPTS = 5;
+// Failed blocks are re-requested this many times before a file is given up
+const REPAIR_ATTEMPTS = 3;
+// After the last file the sender stays a moment, so the channel can drain
+const LINGER = 3000;
+const PROGRESS_INTERVAL = 250;
+
+const USAGE = `Usage:
+  dropbeam send <file|folder>... [--to CODE]
+  dropbeam receive [CODE]
+Run with --help for all options.`;
+
+// ===== OPTIONS =====
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    to: { type: "string" },
+    name: { type: "string", default: os.hostname() },
+    out: { type: "string", default: "." },
+    "max-size": { type: "string", default: "0" },
+    passphrase: { type: "string", default: "" },
+    signal: { type: "string" },
+    insecure: { type: "boolean", default: false },
+    key: { type: "string", default: "peerjs" },
+    ice: { type: "string" },
+    words: { type: "boolean", default: false },
+    app: { type: "string" },
+    yes: { type: "boolean", default: false },
+    help: { type: "boolean", default: false }
+  }
+});
+const [command, ...args] = positionals;
+
+function peerOptions() {
+  const signal = opts.signal?.match(/^([^:/]+)(?::(\d+))?(\/.*)?$/);
+  const secure = !opts.insecure;
+  return {
+    host: signal ? signal[1] : "0.peerjs.com",
+    port: signal?.[2] ? Number(signal[2]) : (secure ? 443 : 80),
+    path: signal?.[3] || "/",
+    secure,
+    key: opts.key,
+    config: { iceServers: (opts.ice ? opts.ice.split(",") : DEFAULT_ICE).map(urls => ({ urls })) }
+  };
+}
+
+// ===== OUTPUT =====
+let progressLine = "";
+let progressAt = 0;
+
+// Status goes to stderr, so stdout stays clean for scripts
+function log(text) {
+  clearProgress();
+  process.stderr.write(text + "\n");
+}
+
+function showProgress(t, done) {
+  if (!process.stderr.isTTY || Date.now() - progressAt < PROGRESS_INTERVAL) return;
+  progressAt = Date.now();
+  const pct = t.size ? Math.floor((done / t.size) * 100) : 100;
+  const speed = (done - t.startOffset) / Math.max(0.001, (Date.now() - t.startTime) / 1000);
+  progressLine = `${t.direction === "out" ? "↑" : "↓"} ${t.name}  ${pct}%  ` +
+    `${formatBytes(done)} of ${formatBytes(t.size)}  ${formatBytes(speed)}/s`;
+  process.stderr.write("\r\x1b[K" + progressLine);
+}
+
+function clearProgress() {
+  if (!progressLine) return;
+  process.stderr.write("\r\x1b[K");
+  progressLine = "";
+}
+
+async function ask(question) {
+  clearProgress();
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return (await rl.question(question)).trim().toLowerCase();
+  } finally {
+    rl.close();
+  }
+}
+
+function exit(code) {
+  clearProgress();
+  engine.reset();
+  peer?.destroy();
+  process.exit(code);
+}
+
+// ===== FILES =====
+// Every file under the given paths, with the relative path the other side
+// sees: "notes.txt", or "photos/2024/a.jpg" for a folder's contents
+async function collectFiles(paths) {
+  const entries = [];
+  const walk = async (full, rel) => {
+    const stat = await fs.promises.stat(full);
+    if (stat.isDirectory()) {
+      for (const name of (await fs.promises.readdir(full)).sort()) {
+        await walk(path.join(full, name), `${rel}/${name}`);
+      }
+      return;
+    }
+    // Read lazily, slice by slice, like a File from a file picker
+    const file = new File([await fs.openAsBlob(full)], path.basename(full));
+    entries.push({ id: makeId(), file, path: rel });
+  };
+  for (const p of paths) await walk(path.resolve(p), path.basename(path.resolve(p)));
+  return entries;
+}
+
+// Writes under --out, creating the folders along the peer's path. Existing
+// files are never overwritten: "name (1).ext" and so on instead.
+async function openFileSink(meta) {
+  const parts = safePath(meta.path || meta.name);
+  const dir = path.join(path.resolve(opts.out), ...parts.slice(0, -1));
+  await fs.promises.mkdir(dir, { recursive: true });
+  const { handle, file } = await createFree(dir, parts[parts.length - 1]);
+  let queue = Promise.resolve();
+  let pos = 0;
+  const writeAt = (position, chunk) => {
+    const bytes = new Uint8Array(chunk);
+    return queue = queue.then(() => handle.write(bytes, 0, bytes.length, position));
+  };
+  return {
+    kind: "file",
+    write(chunk) {
+      const written = writeAt(pos, chunk);
+      pos += chunk.byteLength;
+      return written;
+    },
+    writeAt,
+    async close() {
+      await queue;
+      await handle.close();
+      return file;
+    },
+    reread: () => fs.openAsBlob(file),
+    abort() {
+      queue.then(() => handle.close())
+        .then(() => fs.promises.unlink(file))
+        .catch(() => {});
+    }
+  };
+}
+
+async function createFree(dir, name) {
+  const dot = name.lastIndexOf(".");
+  const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  for (let n = 0; ; n++) {
+    const file = path.join(dir, n ? `${base} (${n})${ext}` : name);
+    try {
+      return { handle: await fs.promises.open(file, "wx"), file };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+}
+
+// ===== STORAGE LIMITS =====
+// Bytes free for received files, or null if that can't be told. The nearest
+// existing folder counts, as --out may not have been created yet.
+async function freeSpace() {
+  for (let dir = path.resolve(opts.out); ; dir = path.dirname(dir)) {
+    try {
+      const { bavail, bsize } = await fs.promises.statfs(dir);
+      return bavail * bsize;
+    } catch (err) {
+      if (err.code !== "ENOENT" || dir === path.dirname(dir)) return null;
+    }
+  }
+}
+
+// Same refusals as the web app's (see readRefusal in engine.js)
+async function checkFile(meta) {
+  const limit = Number(opts["max-size"]) * 1024 * 1024;
+  if (limit && meta.size > limit) return { reason: "too-large", limit };
+  const available = await freeSpace();
+  if (available !== null && meta.size > available) return { reason: "no-space", available };
+  return null;
+}
+
+function describeRefusal(refusal) {
+  return refusal.reason === "too-large"
+    ? `over the ${formatBytes(refusal.limit)} limit`
+    : `only ${formatBytes(refusal.available)} free`;
+}
+
+// ===== ENGINE =====
+// A fresh identity every run: nothing is trusted across runs, so the codes
+// are always compared
+const identity = crypto.subtle.generateKey(
+  { name: "ECDSA", namedCurve: "P-256" }, false, ["sign", "verify"]
+).then(async pair => ({
+  privateKey: pair.privateKey,
+  spki: Buffer.from(await crypto.subtle.exportKey("spki", pair.publicKey)).toString("base64")
+}));
+
+const engine = createEngine({
+  name: () => opts.name,
+  passphrase: () => opts.passphrase,
+  identity: () => identity,
+  isTrusted: () => false,
+  peerId: () => peer?.id ?? null,
+  dial,
+  checkFile,
+  openSink: openFileSink
+});
+
+let peer = null;
+// What this run is waiting for: files still to send or receive, and how
+// many of them didn't make it
+let outgoing = [];
+let pending = 0;
+let failures = 0;
+const repairs = new Map(); // transfer ID -> attempts so far
+
+engine
+  .on("verify", async (session) => {
+    log(`Verification code for ${session.name}:`);
+    log("  " + session.code.map(([emoji, name]) => `${emoji} ${name}`).join("   "));
+    if (opts.yes || await ask("Does the other screen show the same? [y/N] ") === "y") {
+      engine.confirm(session);
+    } else {
+      engine.drop(session, `Codes didn't match — disconnected from ${session.name}.`);
+    }
+  })
+  .on("ready", (session) => {
+    log(`Connected to ${session.name}${session.key ? " (passphrase)" : ""}.`);
+    if (command === "send" && outgoing.length) {
+      const total = outgoing.reduce((sum, e) => sum + e.file.size, 0);
+      log(`Offering ${outgoing.length} file(s), ${formatBytes(total)}...`);
+      engine.offer(session, outgoing);
+      outgoing = [];
+    }
+  })
+  .on("offer", async (session, manifest) => {
+    if (command !== "receive") {
+      engine.answer(session, manifest, [], null);
+      return;
+    }
+    log(`${session.name} offers ${manifest.files.length} file(s), ${formatBytes(manifest.totalSize)}:`);
+    const refused = {};
+    for (const f of manifest.files) {
+      const refusal = await checkFile(f);
+      if (refusal) refused[f.id] = refusal;
+      log(`  ${f.path || f.name}  ${formatBytes(f.size)}${refusal ? `  (${describeRefusal(refusal)})` : ""}`);
+    }
+    const fitting = manifest.files.filter(f => !refused[f.id]);
+    const space = await freeSpace();
+    if (space !== null && fitting.reduce((sum, f) => sum + f.size, 0) > space) {
+      log(`Only ${formatBytes(space)} free in ${path.resolve(opts.out)}; not all of it will fit.`);
+    }
+    const accept = fitting.length && (opts.yes || await ask("Accept? [Y/n] ") !== "n");
+    const files = accept ? fitting : [];
+    // The rest are `done` as rejected right away
+    pending += manifest.files.length;
+    engine.answer(session, manifest, files, null, refused);
+  })
+  .on("send", showProgress)
+  .on("accept", showProgress)
+  .on("progress", showProgress)
+  .on("verifying", (t) => log(`Verifying ${t.name}...`))
+  .on("done", (t, outcome, { sha256, file, refusal }) => {
+    if (t.bench) return;
+    if (outcome === "completed") {
+      log(`✔ ${t.name}  ${formatBytes(t.size)}  sha256 ${sha256}`);
+      if (file) console.log(file);
+    } else {
+      log(`✖ ${t.name}  ${outcome}${refusal ? ` (${describeRefusal(refusal)})` : ""}`);
+      failures++;
+    }
+    if (--pending > 0) return;
+    if (command === "receive") exit(failures ? 1 : 0);
+    else setTimeout(() => exit(failures ? 1 : 0), LINGER);
+  })
+  .on("error", (t, err) => {
+    if (!t.bad) {
+      log(`${t.name}: ${err.message || err}`);
+      return;
+    }
+    const attempts = repairs.get(t.id) || 0;
+    repairs.set(t.id, attempts + 1);
+    if (attempts < REPAIR_ATTEMPTS && engine.repair(t.id)) {
+      log(`Re-requesting ${t.bad.length} damaged block(s) of ${t.name}...`);
+      return;
+    }
+    engine.discard(t.id);
+  })
+  .on("message", (session, msg) => {
+    if (msg.type === "chat") log(`${session.name}: ${msg.text}`);
+  })
+  .on("notice", (text) => log(text))
+  .on("drop", (session, notice) => {
+    log(notice || `${session.name} removed.`);
+    exit(1);
+  })
+  .on("disconnect", (session) => {
+    if (command === "send" && !pending) exit(failures ? 1 : 0);
+    else if (!engine.suspendedSessions.has(session.id)) {
+      log(`${session.name} disconnected.`);
+      exit(1);
+    } else {
+      log(session.dialed
+        ? `Lost ${session.name}. Reconnecting...`
+        : `Lost ${session.name}. Waiting for it to reconnect...`);
+    }
+  })
+  .on("connection-error", (session, err) => log(`Connection error: ${err.type || err.message || err}`));
+
+// ===== ROOMS =====
+function makeRoomCode() {
+  if (opts.words) {
+    const picks = crypto.getRandomValues(new Uint8Array(3));
+    return [...picks].map(i => ROOM_WORDS[i]).join(" ");
+  }
+  const n = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+  const pin = String(n).padStart(6, "0");
+  return `${pin.slice(0, 3)} ${pin.slice(3)}`;
+}
+
+function roomPeerId(code) {
+  return ROOM_PREFIX + code.replace(/ /g, /^\d/.test(code) ? "" : "-");
+}
+
+// "482913", "482 913", "maple river owl", a room link or a raw peer ID
+function normalizeRoomCode(input) {
+  let code = input.trim();
+  const link = code.match(/[?&]room=([^&#\s]+)/);
+  if (link) code = decodeURIComponent(link[1]);
+  const bare = code.toLowerCase().replace(ROOM_PREFIX, "");
+  const digits = bare.replace(/[\s.-]/g, "");
+  if (/^\d{6}$/.test(digits)) return ROOM_PREFIX + digits;
+  const words = bare.split(/[^a-z]+/).filter(Boolean);
+  if (words.length === 3 && words.every(w => ROOM_WORDS.includes(w))) {
+    return ROOM_PREFIX + words.join("-");
+  }
+  return code;
+}
+
+// Registers a room code and waits. Only the first device to join is served;
+// it may come back under the same ID after a drop.
+function openRoom(attempt = 1) {
+  const code = makeRoomCode();
+  peer = new Peer(roomPeerId(code), peerOptions());
+  let joined = null;
+
+  peer.on("open", () => {
+    log(`Room code: ${code}`);
+    if (opts.app) log(`Or open: ${opts.app.replace(/\/?$/, "/")}?room=${roomPeerId(code)}`);
+    log(command === "send" ? "Waiting for the receiver to join..." : "Waiting for the sender to join...");
+  });
+
+  peer.on("connection", (connection) => {
+    if (joined && connection.peer !== joined) {
+      connection.on("open", () => connection.close());
+      return;
+    }
+    joined = connection.peer;
+    engine.connect(connection);
+  });
+
+  peer.on("error", (err) => {
+    if (err.type === "unavailable-id" && attempt < ROOM_CODE_ATTEMPTS) {
+      peer.destroy();
+      openRoom(attempt + 1);
+      return;
+    }
+    log(`Signaling error: ${err.type || err.message}`);
+    exit(1);
+  });
+  peer.on("disconnected", stayOnServer);
+}
+
+// Dials a room. If the channel drops, the engine dials again by itself.
+function joinRoom(input) {
+  const id = normalizeRoomCode(input);
+  peer = new Peer(peerOptions());
+  peer.on("open", () => {
+    log("Connecting...");
+    engine.connect(dial(id), true);
+  });
+  peer.on("error", (err) => {
+    // Until a dropped device is back, redialing it fails like this
+    if (err.type === "peer-unavailable" && engine.suspendedSessions.size) return;
+    log(err.type === "peer-unavailable"
+      ? "Room not found. Check the code and try again."
+      : `Signaling error: ${err.type || err.message}`);
+    exit(1);
+  });
+  peer.on("disconnected", stayOnServer);
+}
+
+// A dropped device can only find us, and we it, through the signaling server
+function stayOnServer() {
+  const p = peer;
+  setTimeout(() => { if (peer === p && !p.destroyed) p.reconnect(); }, 2000);
+}
+
+function dial(id) {
+  if (!peer || peer.disconnected) return null;
+  return peer.connect(id, { reliable: true, serialization: "raw" });
+}
+
+// ===== MAIN =====
+async function main() {
+  if (opts.help) {
+    const header = fs.readFileSync(__filename, "utf8").split("\n\n")[0];
+    console.log(header.split("\n").slice(1).map(l => l.replace(/^\/\/ ?/, "")).join("\n"));
+    return;
+  }
+  if (!(Number(opts["max-size"]) >= 0)) throw new Error("--max-size takes a size in MB.");
+  if (command === "send") {
+    if (!args.length) throw new Error(USAGE);
+    outgoing = await collectFiles(args);
+    if (!outgoing.length) throw new Error("Nothing to send.");
+    pending = outgoing.length;
+    if (opts.to) joinRoom(opts.to);
+    else openRoom();
+  } else if (command === "receive") {
+    if (args[0]) joinRoom(args[0]);
+    else openRoom();
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main().catch(err => {
+  log(err.message);
+  process.exit(2);
+});
@@ -0,0 +1,1711 @@
+// DropBeam — engine.js
+// The transfer protocol without any UI: handshake, sealing, framing,
+// manifests, the send pipeline, receiving, integrity checks and repair, and
+// resume. The page (app.js) and the command-line peer (cli/dropbeam.js)
+// both drive it through createEngine and its events.
+//
+// A plain script in the browser, loaded after sha256.js and words.js. Node
+// has to put their globals in place before requiring it (see the CLI).
+
+const CHUNK_SIZE = 64 * 1024; // 64KB — first chunk size of a connection, and repairs
+const BLOCK_SIZE = 16 * CHUNK_SIZE; // 1MB — unit of integrity checks and repairs
+
+// Send pipeline (see pumpFile): chunk size adapts between these, capped by
+// what the channel's SCTP transport accepts in one message
+const CHUNK_MIN = 16 * 1024;
+const CHUNK_MAX = 256 * 1024;
+// Frame header, sealing and deflate overhead on top of a chunk
+const FRAME_SLACK = 1024;
+const READ_AHEAD = 4;
+const TUNE_INTERVAL = 1000;
+// Safety net in case `bufferedamountlow` never comes
+const DRAIN_TIMEOUT = 1000;
+// The sender stays at most SEND_WINDOW ahead of what the receiver has
+// written, which the receiver reports every ACK_INTERVAL (see windowOpen)
+const SEND_WINDOW = 8 * BLOCK_SIZE;
+const ACK_INTERVAL = BLOCK_SIZE;
+const BENCH_SIZE = 64 * 1024 * 1024;
+// A dropped session is kept this long for the device to come back. The side
+// that dialed redials, waiting RECONNECT_DELAY, then twice as long each time.
+const RECONNECT_TIMEOUT = 2 * 60 * 1000;
+const RECONNECT_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 15000;
+
+// Sent in `hello`; peers on a different version are turned away
+const PROTOCOL_VERSION = 8;
+// First byte of every binary frame (see encodeFrame)
+const FRAME_VERSION = 1;
+const FRAME_DATA = 0;
+const FRAME_REPAIR = 1;
+
+// Compressible files are sent as independently deflated chunks, declared
+// by `codec` in file-meta (see compressChunk)
+const CODEC = "deflate-raw";
+const COMPRESS_MIN_SIZE = 4 * 1024;
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(json|xml|javascript|x-javascript|sql|x-sh|x-yaml|yaml|rtf|x-tex|ld\+json)|image\/svg)/;
+const TEXT_EXTS = new Set([
+  "txt", "log", "csv", "tsv", "json", "ndjson", "xml", "html", "htm", "css", "js", "mjs",
+  "cjs", "ts", "tsx", "jsx", "md", "yml", "yaml", "toml", "ini", "cfg", "conf", "sql", "svg",
+  "py", "java", "kt", "c", "h", "cpp", "hpp", "cs", "rs", "go", "rb", "php", "sh", "bat",
+  "ps1", "tex", "rtf", "srt", "vtt"
+]);
+const COMPRESSIBLE_EXTS = new Set([...TEXT_EXTS, "bmp", "wav", "tar"]);
+
+// Passphrase -> AES-GCM key (see deriveSessionKey)
+const PBKDF2_ITERATIONS = 250000;
+// Device names are cut to this; the peer's shows up all over the UI
+const NAME_MAX = 24;
+// Messages allowed before both users have confirmed the verification code
+const HANDSHAKE_TYPES = ["hello", "key-check", "identity", "verified", "bye"];
+
+// ===== ENGINE =====
+// `host` is what the engine needs from the app around it:
+//   name()                 this device's name, sent in `hello`
+//   passphrase()           the room passphrase, or ""
+//   identity()             resolves to this device's { privateKey, spki }
+//   isTrusted(deviceId)    skip the code comparison for this device?
+//   peerId()               the peer ID the other side can redial us at
+//   dial(peerId)           a new DataConnection to peerId, or null if that
+//                          can't be tried right now
+//   checkFile(meta, target) resolves to null if an accepted file can still
+//                          be saved, or a refusal (see readRefusal)
+//   openSink(meta, target) resolves to where an accepted file is written:
+//                          { kind, write(chunk), close(), abort() } plus
+//                          writeAt(offset, chunk) and reread() if it can be
+//                          repaired. The next chunk waits for what write()
+//                          returns; reread() resolves to the saved bytes as a
+//                          Blob once closed.
+// `target` is whatever the host passed to answer(); one with skip(fileId) is
+// told about approved files that will never arrive.
+//
+// Events (engine.on(type, fn)):
+//   verify (session)                 compare session.code, then confirm() or drop()
+//   trusted (session)                a trusted device proved its identity
+//   ready (session)                  both sides confirmed; transfers can start
+//   offer (session, manifest)        files offered to us; answer() or defer() them
+//   send (t, offset)                 an outgoing file starts (or resumes) streaming
+//   accept (t, offset)               an incoming file starts (or resumes) arriving
+//   progress (t, bytes)              bytes sent or received so far
+//   pause (t)                        either end paused or resumed t
+//   verifying (t)                    all bytes are in, checking hashes
+//   done (t, outcome, result)        t is over: "completed" (result has sha256,
+//                                    and for receives file and repaired),
+//                                    "cancelled", "rejected" (result may have
+//                                    the receiver's refusal) or "failed"
+//   error (t, err)                   a send or save failed, or a receive failed
+//                                    verification (t.bad; see repair/discard)
+//   message (session, msg)           any message the protocol doesn't handle
+//   notice (text)                    something worth telling the user
+//   drop (session, notice)           a device was removed (see drop()), or
+//                                    didn't come back in RECONNECT_TIMEOUT
+//   disconnect (session)             a device's channel closed; if the
+//                                    session is in suspendedSessions, it is
+//                                    being reconnected
+//   connection-error (session, err)
+function createEngine(host) {
+  // One session per connected device, keyed by its peer ID (see createSession)
+  const sessions = new Map();
+  // Sessions whose channel dropped, kept until the same peer reconnects
+  // (see suspendSession)
+  const suspendedSessions = new Map();
+  // Every file in flight, in either direction, keyed by transfer ID. All share
+  // { id, direction: "out" | "in", session, name, size, startTime, startOffset }.
+  // Outgoing ones are also their session's `out` (see createSession); incoming
+  // ones add { meta, sink, received, accepted, check, batch } where check is
+  // { hasher, blockParts, blockHashes, expected } (see hashIncoming) and
+  // batch is how many files were accepted along with this one.
+  const transfers = new Map();
+  // Receives that failed to verify, and the range re-send being received
+  const failedTransfers = new Map();
+  let incomingRepair = null;
+
+  const listeners = new Map();
+  const emit = (type, ...args) => listeners.get(type)?.forEach(fn => fn(...args));
+  const notice = (text) => emit("notice", text);
+
+  // ===== CONNECTIONS =====
+  // `connection` is a PeerJS DataConnection with serialization "raw";
+  // `dialed` is true when we joined someone else's room. Sessions are keyed
+  // by the peer ID we first knew the device under, which a redial may not
+  // reach it at (see reconnect).
+  function connect(connection, dialed = false, id = connection.peer) {
+    connection.on("open", () => {
+      // A peer that dropped gets its old session back
+      const session = suspendedSessions.get(id) || sessions.get(id) ||
+        createSession(connection, id);
+      suspendedSessions.delete(session.id);
+      clearTimeout(session.retry);
+      if (session.conn !== connection) {
+        try { session.conn.close(); } catch {}
+        session.conn = connection;
+        session.resuming = true;
+        // The old send loop must not carry on over the new channel before the
+        // receiver has said where to resume from
+        if (session.out) session.out.run = 0;
+      }
+      sessions.set(session.id, session);
+      startHandshake(session, dialed);
+    });
+
+    // Handled strictly in arrival order, even while a message is being
+    // decrypted or a key derived
+    connection.on("data", (data) => {
+      const session = sessions.get(id);
+      if (session?.conn !== connection) return;
+      session.rx = session.rx
+        .then(() => receive(session, connection, data))
+        .catch(err => console.error("Receive failed:", err));
+    });
+
+    connection.on("close", () => {
+      const session = sessions.get(id);
+      if (session?.conn !== connection) return;
+      sessions.delete(session.id);
+      // Not before a `bye` still being decrypted has been seen
+      session.rx.then(() => {
+        suspendSession(session);
+        emit("disconnect", session);
+      });
+    });
+
+    connection.on("error", (err) => {
+      console.error("Connection error:", err);
+      emit("connection-error", sessions.get(id) || null, err);
+    });
+  }
+
+  // ===== SESSIONS =====
+  // Per-device state. `offers` holds manifests awaiting the receiver's answer
+  // (manifest ID -> [{ id, file, path }]); `queue` holds the accepted files
+  // that haven't finished yet; `out` is the head of it while offered or
+  // streaming:
+  // { file, id, offset, skipUntil, paused, cancelled, check, startTime, startOffset, run, bench }
+  // `approved` is the receiving side: file IDs we accepted ->
+  // { target, file, batch }, with the save target, the manifest's entry and
+  // how many files were accepted together. `benchId` is the benchmark we
+  // asked this device for, the only unannounced file we take from it.
+  // `home` is the peer ID the device said it can be redialed at.
+  // The handshake fields (`ready`, `key`, ...) start over on every connection,
+  // see startHandshake.
+  function createSession(connection, id) {
+    return {
+      id,
+      conn: connection,
+      name: "Connected Peer",
+      ready: false,
+      offers: new Map(),
+      queue: [],
+      out: null,
+      approved: new Map(),
+      benchId: null,
+      resuming: false,
+      home: null,
+      // Set once the first handshake completes; only then is a dropped
+      // session worth reconnecting (see reconnect)
+      established: false,
+      knownDevice: null,
+      leaving: false,
+      lostAt: 0,
+      retry: null,
+      redial: null,
+      sendRuns: 0,
+      // Sent files kept for range re-requests (see serveRepairs)
+      sentFiles: new Map(),
+      repairQueue: [],
+      repairRun: null
+    };
+  }
+
+  // Removes one device without touching the others. Also gives up on a
+  // suspended session.
+  function drop(session, text) {
+    if (sessions.get(session.id) !== session &&
+        suspendedSessions.get(session.id) !== session) return;
+    sessions.delete(session.id);
+    suspendedSessions.delete(session.id);
+    stopReconnecting(session);
+    leave(session);
+    abandon(session);
+    emit("drop", session, text);
+  }
+
+  function abandon(session) {
+    transfers.forEach(t => { if (t.session === session) dropTransfer(t, "cancelled"); });
+    dropApproved(session);
+  }
+
+  // Closes every connection. Transfers of suspended sessions stay, so
+  // they can still resume; forget() first to drop them too.
+  function reset() {
+    sessions.forEach(leave);
+    sessions.clear();
+    transfers.forEach(t => {
+      if (!suspendedSessions.has(t.session.id)) dropTransfer(t, "cancelled");
+    });
+    if (suspendedSessions.size) return;
+    incomingRepair = null;
+    failedTransfers.forEach(r => r.sink.abort());
+    failedTransfers.clear();
+  }
+
+  // Gives up on every suspended session without a word to the user
+  function forget() {
+    suspendedSessions.forEach(s => {
+      stopReconnecting(s);
+      abandon(s);
+    });
+    suspendedSessions.clear();
+  }
+
+  // A `bye` first, so the peer knows not to wait for us to come back
+  function leave(session) {
+    if (isOpen(session)) sendMsg(session, { type: "bye" });
+    const conn = session.conn;
+    session.tx.finally(() => { try { conn.close(); } catch {} });
+  }
+
+  // ===== HANDSHAKE =====
+  // Both sides open with a plaintext `hello`. With a passphrase, everything
+  // after it is sealed. Transfers wait until both users have compared the
+  // verification code and confirmed it (see the `verify` event).
+  function startHandshake(session, dialed) {
+    session.dialed = dialed;
+    session.ready = false;
+    session.confirmed = false;
+    session.peerConfirmed = false;
+    session.passphrase = host.passphrase();
+    session.salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    session.key = null;
+    session.code = null;
+    session.deviceId = null;
+    session.peerKey = null;
+    session.peerSpki = null;
+    session.identified = false;
+    session.trusted = false;
+    session.tx = Promise.resolve();
+    session.txPending = 0;
+    // Frame bytes handed to transmit(), and the chunk size tuning that uses it
+    session.sentBytes = 0;
+    session.tuning = { size: CHUNK_SIZE, step: 1, rate: 0, mark: 0, time: 0 };
+    // Nothing from the peer is handled before our own hello is out
+    session.rx = host.identity().then(identity => sendMsg(session, {
+      type: "hello",
+      name: host.name(),
+      protocol: PROTOCOL_VERSION,
+      salt: session.salt,
+      secured: !!session.passphrase,
+      device: identity.spki,
+      // Where to dial us if the channel drops
+      peer: host.peerId(),
+      // What we can decompress
+      codecs: typeof DecompressionStream === "function" ? [CODEC] : []
+    }));
+  }
+
+  async function onHello(session, msg) {
+    const name = typeof msg.name === "string" ? msg.name.trim().slice(0, NAME_MAX) : "";
+    session.name = name || "Connected Peer";
+    if (msg.protocol !== PROTOCOL_VERSION) {
+      drop(session,
+        `${session.name} runs an incompatible version of DropBeam. Please update both devices.`);
+      return;
+    }
+    if (!!msg.secured !== !!session.passphrase) {
+      drop(session, msg.secured
+        ? `${session.name} uses a room passphrase. Enter it and connect again.`
+        : `${session.name} has no room passphrase set. Both devices need the same one.`);
+      return;
+    }
+    if (session.passphrase) {
+      session.key = await deriveSessionKey(session.passphrase, session.salt, msg.salt);
+      // Fails to decrypt on the other side if the passphrases differ
+      sendMsg(session, { type: "key-check" });
+    }
+    session.peerSalt = msg.salt;
+    session.home = typeof msg.peer === "string" ? msg.peer : null;
+    session.codecs = Array.isArray(msg.codecs) ? msg.codecs : [];
+    session.code = await verificationCode(session.conn);
+    try {
+      session.peerKey = await importDeviceKey(msg.device);
+      session.peerSpki = msg.device;
+      session.deviceId = await deviceIdOf(msg.device);
+    } catch {}
+    const identity = await host.identity();
+    const sig = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" }, identity.privateKey, handshakeTranscript(session));
+    sendMsg(session, { type: "identity", sig: toBase64(new Uint8Array(sig)) });
+    // A known device proves itself with its `identity` instead
+    if (!knownDevice(session)) emit("verify", session);
+  }
+
+  // Trusted devices, and the device this session was confirmed with coming
+  // back after a drop, can skip the code comparison
+  function knownDevice(session) {
+    return !!session.deviceId && (host.isTrusted(session.deviceId) ||
+      session.deviceId === session.knownDevice);
+  }
+
+  async function onIdentity(session, msg) {
+    try {
+      session.identified = await crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" },
+        session.peerKey, fromBase64(msg.sig), handshakeTranscript(session));
+    } catch {
+      session.identified = false;
+    }
+    if (!knownDevice(session)) return;
+    const trusted = host.isTrusted(session.deviceId);
+    if (!session.identified) {
+      notice(`${session.name} couldn't prove it's ${trusted ? "your trusted" : "the same"} device. Compare the codes.`);
+      emit("verify", session);
+      return;
+    }
+    session.trusted = trusted;
+    if (trusted) emit("trusted", session);
+    confirm(session);
+  }
+
+  // The user compared the codes (or the device is trusted)
+  function confirm(session) {
+    if (!isOpen(session)) return;
+    session.confirmed = true;
+    sendMsg(session, { type: "verified" });
+    if (session.peerConfirmed) sessionReady(session);
+    else notice(`Waiting for ${session.name} to confirm the code...`);
+  }
+
+  function onVerified(session) {
+    session.peerConfirmed = true;
+    if (session.confirmed) sessionReady(session);
+  }
+
+  function sessionReady(session) {
+    session.ready = true;
+    session.established = true;
+    session.knownDevice = session.deviceId;
+    session.lostAt = 0;
+    emit("ready", session);
+    // Same peer came back mid-send — offer the interrupted file and any
+    // unanswered manifests again
+    if (session.resuming) {
+      session.resuming = false;
+      session.offers.forEach((_, id) => sendManifest(session, id));
+      if (session.queue.length) sendNextFile(session, !!session.out);
+    }
+  }
+
+  async function receive(session, connection, data) {
+    if (session.conn !== connection) return;
+    if (ArrayBuffer.isView(data)) {
+      data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    if (session.key) {
+      try {
+        data = await unseal(session.key, data);
+      } catch {
+        drop(session,
+          `Couldn't decrypt data from ${session.name}. Check that both devices use the same passphrase.`);
+        return;
+      }
+    }
+    if (isOpen(session)) {
+      await handleData(session, data);
+      return;
+    }
+    // Arrived just before the channel closed. Only a `bye` still matters.
+    if (typeof data !== "string") return;
+    try { session.leaving ||= JSON.parse(data).type === "bye"; } catch {}
+  }
+
+  // ===== DATA HANDLER =====
+  async function handleData(session, data) {
+    if (typeof data !== "string") {
+      if (!session.ready) return;
+      const frame = decodeFrame(data);
+      if (!frame) console.warn("Dropped frame with unknown version from", session.name);
+      else if (frame.kind === FRAME_REPAIR) writeRepairChunk(session, frame);
+      else await handleChunk(session, frame);
+      return;
+    }
+
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    if (!validMessage(msg)) {
+      console.warn("Dropped malformed message from", session.name);
+      return;
+    }
+    if (!session.ready && !HANDSHAKE_TYPES.includes(msg.type)) return;
+
+    const out = session.out;
+    // A transfer this peer is sending us — only it may steer that transfer
+    const t = transfers.get(msg.id);
+    const incoming = t?.direction === "in" && t.session === session ? t : null;
+
+    switch (msg.type) {
+      case "hello":
+        await onHello(session, msg);
+        break;
+
+      case "key-check":
+        // Decrypting it was the check
+        break;
+
+      case "bye":
+        session.leaving = true;
+        break;
+
+      case "identity":
+        await onIdentity(session, msg);
+        break;
+
+      case "verified":
+        onVerified(session);
+        break;
+
+      case "manifest":
+        emit("offer", session, msg);
+        break;
+
+      case "manifest-reply":
+        onManifestReply(session, msg);
+        break;
+
+      case "bench-request":
+        // One at a time, however often it's asked
+        if (!session.queue.some(e => e.bench)) {
+          enqueue(session, [{ id: msg.id, file: benchmarkFile(), bench: true }]);
+        }
+        break;
+
+      case "file-meta": {
+        if (incoming?.accepted) {
+          resumeIncoming(incoming);
+          break;
+        }
+        // Benchmark data is discarded on arrival, so the one we asked for
+        // needs no approval; anything else does
+        const bench = !!msg.bench && msg.id === session.benchId && msg.size <= BENCH_SIZE;
+        if (!(session.approved.has(msg.id) || bench) || (msg.codec && msg.codec !== CODEC)) {
+          sendMsg(session, { type: "file-reject", id: msg.id });
+          break;
+        }
+        if (bench) session.benchId = null;
+        startIncoming(session, msg, bench);
+        break;
+      }
+
+      case "file-accept":
+        if (out?.id === msg.id) startSendingChunks(session);
+        break;
+
+      case "file-ack":
+        if (out?.id === msg.id && msg.offset > out.acked) {
+          out.acked = msg.offset;
+          out.onAck?.();
+        }
+        break;
+
+      case "file-resume":
+        if (out?.id === msg.id) {
+          notice(`Resuming ${out.file.name} from ${formatBytes(msg.offset)}`);
+          startSendingChunks(session, msg.offset);
+        }
+        break;
+
+      case "file-reject": {
+        if (out?.id !== msg.id) break;
+        const refusal = readRefusal(msg);
+        if (refusal) noticeRefused(session, [out.name], refusal);
+        else notice(`File was rejected by ${session.name}.`);
+        emit("done", out, "rejected", { refusal });
+        nextInQueue(session);
+        break;
+      }
+
+      case "block-hash":
+        if (incoming?.check) incoming.check.expected[msg.index] = msg.hash;
+        break;
+
+      case "file-done":
+        if (incoming?.sink) finishIncoming(incoming, msg);
+        break;
+
+      case "range-request":
+        session.repairQueue.push(msg);
+        serveRepairs(session);
+        break;
+
+      case "range-start":
+        startRepairRange(session, msg);
+        break;
+
+      case "range-end":
+        finishRepair(msg.id);
+        break;
+
+      case "file-cancel":
+        // Receiver stopped what we're sending
+        if (out?.id === msg.id) {
+          stopSending(session, !!msg.skip);
+          break;
+        }
+        if (!incoming) break;
+        notice(`Transfer cancelled by ${session.name}.`);
+        dropTransfer(incoming, "cancelled");
+        break;
+
+      // Either end can pause or resume the file in flight
+      case "file-pause": {
+        const t = out?.id === msg.id ? out : incoming;
+        if (!t) break;
+        t.paused = !!msg.paused;
+        emit("pause", t);
+        notice(`${session.name} ${t.paused ? "paused" : "resumed"} ${t.name}.`);
+        break;
+      }
+
+      default:
+        emit("message", session, msg);
+    }
+  }
+
+  // ===== MANIFEST =====
+  // A whole batch is offered in one `manifest`; the receiver answers with the
+  // IDs it accepted and only those are queued and streamed. `entries` are
+  // [{ id, file, path, preview }]; path and preview are optional.
+  function offer(session, entries) {
+    const id = makeId();
+    session.offers.set(id, entries);
+    sendManifest(session, id);
+    return id;
+  }
+
+  function sendManifest(session, id) {
+    const entries = session.offers.get(id);
+    if (!entries || !isOpen(session)) return;
+    sendMsg(session, {
+      type: "manifest",
+      id,
+      files: entries.map(({ id, file, path, preview }) => ({
+        id,
+        name: file.name,
+        path: path || file.name,
+        size: file.size,
+        mime: file.type || "application/octet-stream",
+        preview: preview || null
+      })),
+      totalSize: entries.reduce((sum, e) => sum + e.file.size, 0)
+    });
+  }
+
+  function onManifestReply(session, msg) {
+    const entries = session.offers.get(msg.id);
+    if (!entries) return;
+    if (msg.reason === "busy") {
+      notice(`${session.name} is busy. Retrying shortly...`);
+      setTimeout(() => sendManifest(session, msg.id), 3000);
+      return;
+    }
+    session.offers.delete(msg.id);
+    const accepted = entries.filter(e => msg.files.includes(e.id));
+    const refused = [];
+    let refusal = null;
+    entries.filter(e => !accepted.includes(e)).forEach(entry => {
+      const t = unsent(session, entry);
+      const r = readRefusal(msg.refused?.[entry.id]);
+      if (r) {
+        refused.push(t.name);
+        refusal ||= r;
+      }
+      emit("done", t, "rejected", { refusal: r });
+    });
+    if (refusal) noticeRefused(session, refused, refusal);
+    if (!accepted.length) {
+      if (!refusal) {
+        notice(entries.length > 1
+          ? `Files were rejected by ${session.name}.`
+          : `File was rejected by ${session.name}.`);
+      }
+      return;
+    }
+    if (accepted.length < entries.length && !refusal) {
+      notice(`${session.name} accepted ${accepted.length} of ${entries.length} files.`);
+    }
+    enqueue(session, accepted);
+  }
+
+  // `names` didn't fit the receiver's limits; `refusal` is the first one's
+  function noticeRefused(session, names, refusal) {
+    const what = names.length > 1 ? `${names[0]} and ${names.length - 1} more` : names[0];
+    notice(refusal.reason === "too-large"
+      ? `${session.name} only takes files up to ${formatBytes(refusal.limit)}, so ${what} wasn't sent.`
+      : `${session.name} has only ${formatBytes(refusal.available)} free, so ${what} wasn't sent.`);
+  }
+
+  // Asks the device to send us BENCH_SIZE bytes of benchmark data
+  function benchmark(session) {
+    session.benchId = makeId();
+    sendMsg(session, { type: "bench-request", id: session.benchId });
+  }
+
+  // Queues entries to be sent without a manifest (benchmarks use this)
+  function enqueue(session, entries) {
+    const idle = !session.queue.length;
+    session.queue.push(...entries);
+    if (idle) sendNextFile(session);
+  }
+
+  // Receiver side: tells the sender which files to send and where each
+  // accepted one goes; the rest end up `done` as rejected. `refused` maps
+  // the IDs of files that wouldn't fit to their refusal, for the sender.
+  function answer(session, manifest, accepted, target, refused = {}) {
+    const ids = accepted.map(f => f.id);
+    manifest.files.filter(f => !ids.includes(f.id)).forEach(f => {
+      emit("done", unreceived(session, f), "rejected", { refusal: refused[f.id] || null });
+    });
+    accepted.forEach(file => {
+      session.approved.set(file.id, { target, file, batch: accepted.length });
+    });
+    sendMsg(session, { type: "manifest-reply", id: manifest.id, files: ids, refused });
+  }
+
+  // Receiver side: can't look at this batch yet (another one is being asked
+  // about); the sender offers it again shortly.
+  function defer(session, manifest) {
+    sendMsg(session, { type: "manifest-reply", id: manifest.id, files: [], reason: "busy" });
+  }
+
+  // A manifest entry that never became a transfer, as `done` reports it
+  function unreceived(session, file) {
+    return { session, direction: "in", name: file.path || file.name, size: file.size };
+  }
+
+  // Files accepted from this device that will never arrive. They end up
+  // `done` as cancelled, and can't hold a target (a ZIP, say) open.
+  function dropApproved(session) {
+    session.approved.forEach(({ target, file }, fileId) => {
+      target?.skip?.(fileId);
+      emit("done", unreceived(session, file), "cancelled", {});
+    });
+    session.approved.clear();
+  }
+
+  // A queued entry that never became a transfer, as `done` reports it
+  function unsent(session, { file, path }) {
+    return { session, direction: "out", name: path || file.name, size: file.size };
+  }
+
+  // ===== SENDING =====
+  // `resume` re-offers the interrupted file under its old transfer ID
+  function sendNextFile(session, resume = false) {
+    if (!isOpen(session)) return;
+    if (!session.queue.length) {
+      notice(`All files sent to ${session.name}!`);
+      return;
+    }
+    const { id, file, path = file.name, bench = false } = session.queue[0];
+    if (!resume) {
+      session.out = {
+        id,
+        direction: "out",
+        session,
+        name: path,
+        size: file.size,
+        file,
+        offset: 0,
+        seq: 0,
+        wire: 0,
+        codec: pickCodec(session, file),
+        check: null,
+        bench
+      };
+      transfers.set(id, session.out);
+    }
+    sendMsg(session, {
+      type: "file-meta",
+      id,
+      name: file.name,
+      path,
+      size: file.size,
+      mime: file.type || "application/octet-stream",
+      codec: session.out.codec,
+      bench
+    });
+  }
+
+  // Drops the head of the queue (sent, rejected or cancelled) and moves on
+  function nextInQueue(session) {
+    if (session.out) transfers.delete(session.out.id);
+    session.out = null;
+    session.queue.shift();
+    if (session.queue.length) setTimeout(() => sendNextFile(session), 500);
+  }
+
+  function startSendingChunks(session, offset = 0) {
+    const out = session.out;
+    if (!out) return;
+    if (!offset || !out.check) {
+      out.check = {
+        hasher: null,
+        blockParts: [],
+        snapshots: new Map([[0, createSha256()]]),
+        // Block digests sent so far
+        hashes: [],
+        queue: Promise.resolve()
+      };
+    }
+    // Rewind to the block before `offset` and re-read (without sending) up to
+    // it, so the hash state and that block's digest line up with the receiver.
+    const blockStart = Math.max(0, Math.floor((offset - 1) / BLOCK_SIZE) * BLOCK_SIZE);
+    out.check.hasher = out.check.snapshots.get(blockStart).clone();
+    out.check.blockParts = [];
+    // Ones sent just before a drop may have been lost with the old channel
+    out.check.hashes.forEach((hash, index) => {
+      if (index * BLOCK_SIZE < blockStart) sendMsg(session, { type: "block-hash", id: out.id, index, hash });
+    });
+    out.offset = blockStart;
+    out.skipUntil = offset;
+    // The receiver has everything before `offset` written
+    out.acked = offset;
+    out.paused = false;
+    out.cancelled = false;
+    // New on every (re)start so a loop left over from a dropped channel stops.
+    // Counted per session, not per file: a loop still sleeping after a retry
+    // must not mistake the next file for its own.
+    out.run = ++session.sendRuns;
+    session.sentFiles.set(out.id, out.file);
+    startRun(out, offset);
+    emit("send", out, offset);
+    pumpFile(session, out.run);
+  }
+
+  // Reads ahead while the channel drains and only waits on the channel's
+  // `bufferedamountlow`. Ends when the file is done, cancelled or fails, or
+  // when the channel drops (`out` keeps its offset for a `file-resume`).
+  async function pumpFile(session, run) {
+    const out = session.out;
+    const tuning = session.tuning;
+    tuning.time = 0;
+    const reader = readAhead(out.file, out.offset, () => tuning.size);
+    try {
+      while (out.run === run && isOpen(session)) {
+        if (out.cancelled) {
+          sendMsg(session, { type: "file-cancel", id: out.id });
+          emit("done", out, "cancelled", {});
+          nextInQueue(session);
+          return;
+        }
+        if (out.paused) {
+          tuning.time = 0;
+          await sleep(200);
+          continue;
+        }
+        if (out.offset >= out.file.size) {
+          const done = { type: "file-done", id: out.id, sha256: out.check.hasher.digest() };
+          // Block digests are async — file-done must follow the last of them
+          out.check.queue.then(() => {
+            if (session.out !== out || !isOpen(session)) return;
+            sendMsg(session, done);
+            finalizeSend(session, done.sha256);
+          });
+          return;
+        }
+
+        const sending = out.offset >= out.skipUntil;
+        if (sending) {
+          await windowOpen(session, out, run);
+          await drained(session, bufferLimit(tuning.size));
+          // Paused, cancelled or restarted while waiting
+          if (out.run !== run || out.paused || out.cancelled) continue;
+        }
+        const chunk = await reader.next();
+        if (out.run !== run) return;
+        if (sending) {
+          const payload = out.codec ? await compressChunk(chunk) : chunk;
+          if (out.run !== run) return;
+          const frame = encodeFrame(FRAME_DATA, out.id, out.seq, out.offset, payload);
+          transmit(session, frame);
+          session.sentBytes += frame.byteLength;
+          out.seq++;
+          out.wire += payload.byteLength;
+        }
+        out.offset += chunk.byteLength;
+        hashOutgoing(session, out, chunk);
+        if (out.offset > out.skipUntil) {
+          emit("progress", out, out.offset);
+          tuneChunkSize(session);
+        }
+      }
+    } catch (err) {
+      if (out.run === run && isOpen(session)) failSend(session, out, err);
+    }
+  }
+
+  // A read, compress or send error won't fix itself: give the file up (the
+  // receiver discards it) and go on with the queue
+  function failSend(session, out, err) {
+    console.error(`Sending ${out.name} failed:`, err);
+    out.run = ++session.sendRuns;
+    sendMsg(session, { type: "file-cancel", id: out.id });
+    notice(`Couldn't send ${out.file.name}: ${err.message || err.name}`);
+    emit("error", out, err);
+    emit("done", out, "failed", {});
+    nextInQueue(session);
+  }
+
+  // Feeds the whole-file hash and, at every block boundary, sends the block's
+  // digest so the receiver can check it as it goes.
+  function hashOutgoing(session, out, chunk) {
+    const check = out.check;
+    check.hasher.update(chunk);
+    check.blockParts.push(chunk);
+    if (out.offset % BLOCK_SIZE && out.offset < out.file.size) return;
+
+    const id = out.id;
+    const index = Math.floor((out.offset - 1) / BLOCK_SIZE);
+    const parts = check.blockParts;
+    check.blockParts = [];
+    check.snapshots.set(out.offset, check.hasher.clone());
+    check.queue = check.queue
+      .then(() => digestParts(parts))
+      .then(hash => {
+        check.hashes[index] = hash;
+        if (isOpen(session)) sendMsg(session, { type: "block-hash", id, index, hash });
+      });
+  }
+
+  function finalizeSend(session, sha256) {
+    const out = session.out;
+    if (!out.bench) notice(`${out.file.name} sent to ${session.name}!`);
+    emit("done", out, "completed", { sha256 });
+    nextInQueue(session);
+  }
+
+  // Sender side of the receiver's cancel or skip
+  function stopSending(session, skip) {
+    const out = session.out;
+    // Stops pumpFile at its next step
+    out.run = ++session.sendRuns;
+    emit("done", out, "cancelled", {});
+    if (skip) {
+      notice(`${session.name} skipped ${out.name}.`);
+    } else {
+      session.queue.splice(1).forEach(entry => {
+        emit("done", unsent(session, entry), "cancelled", {});
+      });
+      notice(`${session.name} cancelled the transfer.`);
+    }
+    nextInQueue(session);
+  }
+
+  // ===== RECEIVING =====
+  // An approved file's metadata arrived — open its sink and start receiving
+  async function startIncoming(session, meta, bench) {
+    const t = {
+      id: meta.id,
+      direction: "in",
+      session,
+      name: meta.path || meta.name,
+      size: meta.size,
+      meta,
+      codec: meta.codec || null,
+      sink: null,
+      received: 0,
+      acked: 0,
+      wire: 0,
+      accepted: false,
+      check: null,
+      bench,
+      batch: session.approved.get(meta.id)?.batch || 1
+    };
+    transfers.set(t.id, t);
+    const target = session.approved.get(meta.id)?.target;
+    // Space may have run out since the batch was accepted
+    const refusal = t.bench ? null : await host.checkFile(meta, target);
+    if (refusal) {
+      if (transfers.get(t.id) !== t) return;
+      transfers.delete(t.id);
+      session.approved.delete(meta.id);
+      target?.skip?.(meta.id);
+      sendMsg(session, { type: "file-reject", id: t.id, ...refusal });
+      notice(refusal.reason === "too-large"
+        ? `${t.name} is over your size limit. Rejected it.`
+        : `Not enough space left for ${t.name}. Rejected it.`);
+      emit("done", t, "rejected", { refusal });
+      return;
+    }
+    const sink = t.bench ? discardSink() : await host.openSink(meta, target);
+    // Sender may have cancelled while the sink was opening
+    if (transfers.get(t.id) !== t) {
+      sink.abort();
+      return;
+    }
+    session.approved.delete(meta.id);
+    t.sink = sink;
+    t.check = {
+      hasher: createSha256(),
+      blockParts: [],
+      blockHashes: [],
+      expected: []
+    };
+    t.accepted = true;
+    sendMsg(session, { type: "file-accept", id: t.id });
+    startRun(t, 0);
+    emit("accept", t, 0);
+  }
+
+  // Sender re-offered a file we were receiving — continue where we stopped
+  function resumeIncoming(t) {
+    // The sender starts over unpaused
+    t.paused = false;
+    sendMsg(t.session, { type: "file-resume", id: t.id, offset: t.received });
+    startRun(t, t.received);
+    emit("accept", t, t.received);
+    notice(`Resuming ${t.meta.name}...`);
+  }
+
+  // Only the next expected bytes of the file being received are taken; a
+  // frame of some other or earlier transfer is dropped, never written.
+  async function handleChunk(session, frame) {
+    const t = transfers.get(frame.id);
+    if (t?.direction !== "in" || t.session !== session || !t.sink ||
+        frame.offset !== t.received) {
+      console.warn(`Dropped frame #${frame.seq} of ${frame.id} at ${frame.offset}`);
+      return;
+    }
+    t.wire += frame.payload.byteLength;
+    let chunk = frame.payload;
+    if (t.codec) {
+      try {
+        // No chunk is sent bigger than CHUNK_MAX or runs past the file's end
+        chunk = await decompressChunk(chunk, Math.min(CHUNK_MAX, t.size - t.received));
+      } catch (err) {
+        abortIncoming(t, err, `${t.name} failed: ${session.name} sent data that doesn't unpack.`);
+        return;
+      }
+    }
+    t.received += chunk.byteLength;
+    hashIncoming(t, chunk);
+    // Later frames wait behind this write, and the sender waits for the ack
+    // after it, so a slow disk holds the transfer back instead of memory
+    // filling up
+    try {
+      await t.sink.write(chunk);
+    } catch (err) {
+      abortIncoming(t, err, `Could not save ${t.name}.`);
+      return;
+    }
+    if (t.received - t.acked >= ACK_INTERVAL || t.received === t.size) {
+      t.acked = t.received;
+      sendMsg(session, { type: "file-ack", id: t.id, offset: t.received });
+    }
+    emit("progress", t, t.received);
+  }
+
+  // Gives up on a receive mid-stream, and tells the sender to move on
+  function abortIncoming(t, err, text) {
+    if (transfers.get(t.id) !== t) return;
+    console.error(`Receiving ${t.name} failed:`, err);
+    notice(text);
+    emit("error", t, err);
+    sendMsg(t.session, { type: "file-cancel", id: t.id, skip: true });
+    dropTransfer(t, "failed");
+  }
+
+  function hashIncoming(t, chunk) {
+    const check = t.check;
+    check.hasher.update(chunk);
+    check.blockParts.push(chunk);
+    if (t.received % BLOCK_SIZE && t.received < t.size) return;
+    const index = Math.floor((t.received - 1) / BLOCK_SIZE);
+    check.blockHashes[index] = digestParts(check.blockParts);
+    check.blockParts = [];
+  }
+
+  // Sender says it's done: compare every block digest and the whole-file hash
+  // before the file is handed over as complete.
+  async function finishIncoming(t, done) {
+    transfers.delete(t.id);
+    const { meta, check, received } = t;
+
+    emit("verifying", t);
+    const actual = await Promise.all(check.blockHashes);
+    const blocks = Math.ceil(meta.size / BLOCK_SIZE);
+    let bad = [];
+    for (let i = 0; i < blocks; i++) {
+      if (actual[i] !== check.expected[i]) bad.push(i);
+    }
+    const fileOk = received === meta.size && check.hasher.digest() === done.sha256;
+    // Carries what the `done` event needs through a repair, too
+    const record = { ...t, sha256: done.sha256 };
+    if (t.bench) {
+      if (fileOk && !bad.length) emit("done", record, "completed", { sha256: done.sha256 });
+      else {
+        notice("Benchmark data arrived damaged.");
+        dropTransfer(record, "failed");
+      }
+      return;
+    }
+    if (fileOk && !bad.length) {
+      saveIncoming(record, false);
+      return;
+    }
+    if (!bad.length) bad = Array.from({ length: blocks }, (_, i) => i);
+    failIncoming({ ...record, expected: check.expected, bad });
+  }
+
+  async function saveIncoming(record, repaired) {
+    const { meta, sink } = record;
+    let file;
+    try {
+      file = await sink.close();
+      // Repaired blocks were checked one by one; the whole file must match too
+      if (repaired && await hashBlob(await sink.reread()) !== record.sha256) {
+        notice(`${meta.name} still doesn't match after the repair. Don't trust the saved copy.`);
+        emit("done", record, "failed", {});
+        return;
+      }
+    } catch (err) {
+      console.error("Saving failed:", err);
+      notice(`Could not save ${meta.name}.`);
+      emit("error", record, err);
+      emit("done", record, "failed", {});
+      return;
+    }
+    notice(`${meta.name} received successfully!`);
+    emit("done", record, "completed", { sha256: record.sha256, file, repaired });
+  }
+
+  // Forgets a transfer; an unfinished receive's partial file is discarded.
+  // With an `outcome` it also ends up `done`.
+  function dropTransfer(t, outcome) {
+    transfers.delete(t.id);
+    t.sink?.abort();
+    if (outcome) emit("done", t, outcome, {});
+  }
+
+  // Speed and ETA count from the start of this run, since a resumed
+  // transfer doesn't begin at zero
+  function startRun(t, offset) {
+    t.startTime = Date.now();
+    t.startOffset = offset;
+    t.startWire = t.wire || 0;
+  }
+
+  // ===== CONTROLS =====
+  // The sender's pumpFile waits while `paused`; the receiver only shows it
+  function pause(id, paused) {
+    const t = transfers.get(id);
+    if (!t) return;
+    t.paused = paused;
+    sendMsg(t.session, { type: "file-pause", id, paused });
+    emit("pause", t);
+  }
+
+  // The sender moves on to its next file either way; a receiver's cancel also
+  // drops the rest of that sender's batch
+  function cancel(id) {
+    const t = transfers.get(id);
+    if (!t) return;
+    if (t.direction === "out") t.cancelled = true;
+    else stopReceiving(t, false);
+  }
+
+  function skip(id) {
+    const t = transfers.get(id);
+    if (t?.direction === "in") stopReceiving(t, true);
+  }
+
+  function stopReceiving(t, skip) {
+    const { session } = t;
+    sendMsg(session, { type: "file-cancel", id: t.id, skip });
+    dropTransfer(t, "cancelled");
+    if (!skip) dropApproved(session);
+  }
+
+  // ===== INTEGRITY REPAIR =====
+  // A receive that failed verification keeps its sink open so bad blocks can
+  // be re-requested. Sinks without writeAt (stream downloads) can't be patched
+  // and are aborted instead, so a corrupt file never lands as if it were fine.
+  function failIncoming(record) {
+    const { meta, sink, bad } = record;
+    failedTransfers.set(meta.id, record);
+    if (!sink.writeAt) sink.abort();
+    notice(`${meta.name} failed verification.`);
+    emit("error", record, new Error(`${bad.length} block(s) failed verification`));
+  }
+
+  // Asks the sender for the bad blocks again; false if that isn't possible
+  function repair(id) {
+    const record = failedTransfers.get(id);
+    if (!record?.sink.writeAt) return false;
+    const { session, meta, bad } = record;
+    if (!isOpen(session)) {
+      notice(`${session.name} is not connected.`);
+      return false;
+    }
+    sendMsg(session, {
+      type: "range-request",
+      id,
+      ranges: bad.map(i => [i * BLOCK_SIZE, Math.min(meta.size, (i + 1) * BLOCK_SIZE)])
+    });
+    return true;
+  }
+
+  function discard(id) {
+    const record = failedTransfers.get(id);
+    if (!record) return;
+    failedTransfers.delete(id);
+    record.sink.abort();
+    emit("done", record, "failed", {});
+  }
+
+  // Receiver side: each range is one block, announced by range-start
+  function startRepairRange(session, msg) {
+    const record = failedTransfers.get(msg.id);
+    if (record?.session !== session) return;
+    let checks = [];
+    if (incomingRepair) {
+      closeRepairRange();
+      checks = incomingRepair.checks;
+    }
+    incomingRepair = { record, offset: msg.offset, parts: [], checks };
+  }
+
+  function writeRepairChunk(session, frame) {
+    const r = incomingRepair;
+    if (r?.record.session !== session || r.record.meta.id !== frame.id) return;
+    r.parts.push(frame.payload);
+    r.record.sink.writeAt(frame.offset, frame.payload);
+  }
+
+  function closeRepairRange() {
+    const r = incomingRepair;
+    const index = Math.floor(r.offset / BLOCK_SIZE);
+    r.checks.push(digestParts(r.parts).then(hash => hash === r.record.expected[index] ? null : index));
+  }
+
+  async function finishRepair(id) {
+    const r = incomingRepair;
+    if (!r || r.record.meta.id !== id) return;
+    closeRepairRange();
+    incomingRepair = null;
+    const stillBad = (await Promise.all(r.checks)).filter(i => i !== null);
+    const record = r.record;
+    failedTransfers.delete(id);
+    if (!stillBad.length) {
+      saveIncoming(record, true);
+      return;
+    }
+    failIncoming({ ...record, bad: stillBad });
+  }
+
+  // Sender side: repair frames are tagged, so they can go out alongside
+  // whatever file is streaming at the time. They are never compressed.
+  function serveRepairs(session) {
+    if (session.repairRun || !session.repairQueue.length) return;
+    session.repairRun = (async () => {
+      while (session.repairQueue.length) {
+        const { id, ranges } = session.repairQueue.shift();
+        const file = session.sentFiles.get(id);
+        if (!file) continue;
+        let seq = 0;
+        for (const [start, end] of ranges) {
+          sendMsg(session, { type: "range-start", id, offset: start });
+          for (let off = start; off < end; off += CHUNK_SIZE) {
+            await drained(session, bufferLimit(CHUNK_SIZE));
+            const chunk = await file.slice(off, Math.min(end, off + CHUNK_SIZE)).arrayBuffer();
+            transmit(session, encodeFrame(FRAME_REPAIR, id, seq++, off, chunk));
+          }
+        }
+        sendMsg(session, { type: "range-end", id });
+      }
+    })()
+      .catch(err => console.error("Re-sending ranges failed:", err))
+      .finally(() => { session.repairRun = null; });
+  }
+
+  // ===== RESUME =====
+  // Called when a session's channel drops. Unless the peer said `bye`, the
+  // session and whatever is mid-flight are kept so the same peer can pick
+  // them up (with a `file-resume`) after reconnecting.
+  function suspendSession(session) {
+    transfers.forEach(t => {
+      if (t.session === session && t.direction === "in" && !t.accepted) dropTransfer(t);
+    });
+    if (!session.established || session.leaving) {
+      abandon(session);
+      return;
+    }
+    session.lostAt ||= Date.now();
+    suspendedSessions.set(session.id, session);
+    reconnect(session, 0);
+  }
+
+  // Runs until the session is back, given up on, or RECONNECT_TIMEOUT after
+  // it was lost. Only the side that dialed dials again, at the peer's `home`
+  // if it gave one: a room code may have expired in the meantime.
+  function reconnect(session, attempt) {
+    if (suspendedSessions.get(session.id) !== session) return;
+    const left = session.lostAt + RECONNECT_TIMEOUT - Date.now();
+    if (left <= 0) {
+      drop(session, `Lost the connection to ${session.name} and couldn't get it back. ` +
+        "Unfinished transfers were cancelled.");
+      return;
+    }
+    if (attempt && session.dialed) {
+      try { session.redial?.close(); } catch {}
+      session.redial = host.dial(session.home || session.id);
+      if (session.redial) connect(session.redial, true, session.id);
+    }
+    const wait = session.dialed
+      ? Math.min(RECONNECT_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY)
+      : left;
+    session.retry = setTimeout(() => reconnect(session, attempt + 1), Math.min(wait, left));
+  }
+
+  function stopReconnecting(session) {
+    clearTimeout(session.retry);
+    if (session.redial !== session.conn) {
+      try { session.redial?.close(); } catch {}
+    }
+    session.redial = null;
+  }
+
+  return {
+    sessions,
+    suspendedSessions,
+    transfers,
+    failedTransfers,
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(fn);
+      return this;
+    },
+    connect,
+    drop,
+    reset,
+    forget,
+    confirm,
+    offer,
+    answer,
+    defer,
+    benchmark,
+    enqueue,
+    pause,
+    cancel,
+    skip,
+    repair,
+    discard
+  };
+}
+
+// ===== SESSION I/O =====
+function sendMsg(session, msg) {
+  transmit(session, JSON.stringify(msg));
+}
+
+// Every message and frame leaves through here. Sealing is async, so sealed
+// sends queue up behind each other to keep their order.
+function transmit(session, data) {
+  const { conn, key } = session;
+  if (!key) {
+    conn.send(data);
+    return;
+  }
+  const size = data.length ?? data.byteLength;
+  session.txPending += size;
+  session.tx = session.tx
+    .then(() => seal(key, data))
+    .then(sealed => { if (conn.open) conn.send(sealed); })
+    .catch(err => console.error("Send failed:", err))
+    .finally(() => { if (session.conn === conn) session.txPending -= size; });
+}
+
+// Bytes handed to the channel (or waiting to be sealed) but not yet sent
+function backlog(session) {
+  return (session.conn.dataChannel?.bufferedAmount || 0) + session.txPending;
+}
+
+function isOpen(session) {
+  return !!session?.conn?.open;
+}
+
+// ===== VALIDATION =====
+// IDs come from the peer and end up as map keys, in URLs and in the page,
+// so only ones shaped like makeId's are taken
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+function validId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function validMessage(msg) {
+  if (typeof msg?.type !== "string") return false;
+  if ("id" in msg && !validId(msg.id)) return false;
+  if (msg.type === "manifest") {
+    return Array.isArray(msg.files) && msg.files.every(f => validId(f?.id));
+  }
+  if (msg.type === "clipboard-part") {
+    return Number.isInteger(msg.index) && msg.index >= 0 && typeof msg.data === "string";
+  }
+  return true;
+}
+
+// ===== REFUSALS =====
+// Why a receiver turned a file away, as sent in `manifest-reply` (refused)
+// and `file-reject`: { reason: "too-large", limit } over its size limit, or
+// { reason: "no-space", available } when there's no room left for it.
+// Null for anything else, so a plain reject stays plain.
+function readRefusal(msg) {
+  if (msg?.reason === "too-large") return { reason: msg.reason, limit: Number(msg.limit) || 0 };
+  if (msg?.reason === "no-space") return { reason: msg.reason, available: Number(msg.available) || 0 };
+  return null;
+}
+
+// ===== VERIFICATION =====
+// The code is a hash of both ends' DTLS certificate fingerprints. A broker
+// that slipped its own keys in between would leave each side with a
+// different pair, so the codes on the two screens wouldn't match.
+async function verificationCode(connection) {
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256",
+    new TextEncoder().encode(fingerprints(connection).join("|"))));
+  // 4 symbols x 6 bits
+  return [0, 1, 2, 3].map(i => VERIFY_SYMBOLS[hash[i] & 63]);
+}
+
+// Both ends' certificate fingerprints, in the same order on either side
+function fingerprints(connection) {
+  const pc = connection.peerConnection;
+  return [pc?.localDescription?.sdp, pc?.remoteDescription?.sdp]
+    .map(sdp => sdp?.match(/^a=fingerprint:(.+)$/m)?.[1].trim().toUpperCase() || "")
+    .sort();
+}
+
+// ===== DEVICE IDENTITY =====
+// Every device has an ECDSA key pair; its ID is a hash of the public key, so
+// a renamed device is still recognised. During the handshake each side signs
+// the same transcript (both DTLS fingerprints and both salts), which proves
+// it holds the key for this very connection.
+function importDeviceKey(spki) {
+  return crypto.subtle.importKey("spki", fromBase64(spki),
+    { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]);
+}
+
+async function deviceIdOf(spki) {
+  const hash = await crypto.subtle.digest("SHA-256", fromBase64(spki));
+  return toHex(new Uint8Array(hash).subarray(0, 16));
+}
+
+function handshakeTranscript(session) {
+  const salts = [session.salt, session.peerSalt];
+  return new TextEncoder().encode(
+    `dropbeam-identity|${fingerprints(session.conn).join(",")}|${salts.sort().join(",")}`);
+}
+
+// ===== COMPRESSION =====
+// Each chunk is deflated on its own, so frames keep their original offsets
+// and resume, block hashes and repairs work exactly as for raw files.
+function pickCodec(session, file) {
+  if (typeof CompressionStream !== "function" || !session.codecs?.includes(CODEC)) return null;
+  if (file.size < COMPRESS_MIN_SIZE) return null;
+  const ext = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : "";
+  return COMPRESSIBLE_TYPES.test(file.type) || COMPRESSIBLE_EXTS.has(ext) ? CODEC : null;
+}
+
+async function compressChunk(chunk) {
+  return pipeBytes(chunk, new CompressionStream(CODEC));
+}
+
+// Stops inflating once the output passes `max`, so a small frame that would
+// unpack to gigabytes fails instead of filling memory
+async function decompressChunk(chunk, max) {
+  const reader = new Blob([chunk]).stream()
+    .pipeThrough(new DecompressionStream(CODEC))
+    .getReader();
+  const parts = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > max) {
+      reader.cancel().catch(() => {});
+      throw new Error(`Chunk unpacks to more than ${max} bytes`);
+    }
+    parts.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  }
+  return bytes;
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ===== ENCRYPTION =====
+// PBKDF2 over the passphrase, salted with both sides' per-connection salts,
+// so every connection gets its own AES-GCM key.
+async function deriveSessionKey(passphrase, saltA, saltB) {
+  const enc = new TextEncoder();
+  const base = await crypto.subtle.importKey(
+    "raw", enc.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: enc.encode([saltA, saltB].sort().join("")),
+      iterations: PBKDF2_ITERATIONS
+    },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Sealed messages are always binary:
+//   12 bytes IV, then AES-GCM of [u8 0 = JSON text / 1 = frame] + body
+async function seal(key, data) {
+  const text = typeof data === "string";
+  const body = text ? new TextEncoder().encode(data) : new Uint8Array(data);
+  const plain = new Uint8Array(1 + body.length);
+  plain[0] = text ? 0 : 1;
+  plain.set(body, 1);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain);
+  const sealed = new Uint8Array(12 + cipher.byteLength);
+  sealed.set(iv);
+  sealed.set(new Uint8Array(cipher), 12);
+  return sealed.buffer;
+}
+
+async function unseal(key, data) {
+  const bytes = new Uint8Array(data);
+  const plain = new Uint8Array(await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: bytes.subarray(0, 12) }, key, bytes.subarray(12)));
+  return plain[0] === 0
+    ? new TextDecoder().decode(plain.subarray(1))
+    : plain.buffer.slice(1);
+}
+
+// ===== FRAMING =====
+// Every binary message is one frame, so chunks of different transfers can
+// share the channel and a stray chunk can't land in the wrong file:
+//   u8  frame version   u8  kind (FRAME_DATA / FRAME_REPAIR)
+//   u8  ID length n     n   transfer ID (UTF-8)
+//   u32 sequence number u64 byte offset of the payload in the file
+//   ... payload
+function encodeFrame(kind, id, seq, offset, payload) {
+  const idBytes = new TextEncoder().encode(id);
+  const head = 3 + idBytes.length + 12;
+  const frame = new Uint8Array(head + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, kind);
+  view.setUint8(2, idBytes.length);
+  frame.set(idBytes, 3);
+  view.setUint32(head - 12, seq);
+  view.setUint32(head - 8, Math.floor(offset / 2 ** 32));
+  view.setUint32(head - 4, offset >>> 0);
+  frame.set(new Uint8Array(payload), head);
+  return frame.buffer;
+}
+
+// Null for frames from another protocol version
+function decodeFrame(buf) {
+  const view = new DataView(buf);
+  if (buf.byteLength < 15 || view.getUint8(0) !== FRAME_VERSION) return null;
+  const idLen = view.getUint8(2);
+  const head = 3 + idLen + 12;
+  return {
+    kind: view.getUint8(1),
+    id: new TextDecoder().decode(new Uint8Array(buf, 3, idLen)),
+    seq: view.getUint32(head - 12),
+    offset: view.getUint32(head - 8) * 2 ** 32 + view.getUint32(head - 4),
+    payload: new Uint8Array(buf, head)
+  };
+}
+
+// ===== SEND PIPELINE =====
+// Reads `file` from `offset` with up to READ_AHEAD slices in flight, each
+// `chunkSize()` long at the time it's started. No chunk crosses a block
+// boundary, so block digests line up on both ends.
+function readAhead(file, offset, chunkSize) {
+  const reads = [];
+  let next = offset;
+  const fill = () => {
+    while (reads.length < READ_AHEAD && next < file.size) {
+      const blockEnd = (Math.floor(next / BLOCK_SIZE) + 1) * BLOCK_SIZE;
+      const end = Math.min(file.size, blockEnd, next + chunkSize());
+      const read = file.slice(next, end).arrayBuffer();
+      // Reads left over when the loop stops are never awaited
+      read.catch(() => {});
+      reads.push(read);
+      next = end;
+    }
+  };
+  return {
+    next() {
+      fill();
+      const read = reads.shift();
+      fill();
+      return read;
+    }
+  };
+}
+
+// How much may be queued on the channel before the loop waits
+function bufferLimit(chunkSize) {
+  return Math.max(BLOCK_SIZE, chunkSize * 8);
+}
+
+// Resolves once the receiver has caught up to within SEND_WINDOW of what
+// was sent, or the run is over
+async function windowOpen(session, out, run) {
+  while (out.run === run && isOpen(session) && out.offset - out.acked >= SEND_WINDOW) {
+    await new Promise(resolve => {
+      out.onAck = resolve;
+      setTimeout(resolve, DRAIN_TIMEOUT);
+    });
+  }
+}
+
+// Resolves once the channel, and with a passphrase the sealing queue, is
+// below `limit`, or the channel is gone
+async function drained(session, limit) {
+  const channel = session.conn.dataChannel;
+  while (isOpen(session) && backlog(session) > limit) {
+    if (!channel || session.txPending > limit / 2) {
+      await session.tx;
+      continue;
+    }
+    channel.bufferedAmountLowThreshold = limit / 2;
+    await new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        channel.removeEventListener("bufferedamountlow", done);
+        channel.removeEventListener("close", done);
+        resolve();
+      };
+      const timer = setTimeout(done, DRAIN_TIMEOUT);
+      channel.addEventListener("bufferedamountlow", done);
+      channel.addEventListener("close", done);
+    });
+  }
+}
+
+// Largest power-of-two chunk that fits in one SCTP message with its frame
+function maxChunkSize(session) {
+  const limit = session.conn.peerConnection?.sctp?.maxMessageSize;
+  if (!limit) return CHUNK_SIZE;
+  const fit = Math.min(CHUNK_MAX, limit - FRAME_SLACK);
+  return Math.max(CHUNK_MIN, 2 ** Math.floor(Math.log2(fit)));
+}
+
+// Hill-climbs the chunk size on the rate bytes actually leave the buffer:
+// keeps doubling (or halving) while that doesn't hurt, turns around when
+// throughput drops by more than 10%
+function tuneChunkSize(session) {
+  const tuning = session.tuning;
+  const now = Date.now();
+  const sent = session.sentBytes - backlog(session);
+  if (!tuning.time) {
+    tuning.time = now;
+    tuning.mark = sent;
+    tuning.size = Math.min(tuning.size, maxChunkSize(session));
+    return;
+  }
+  if (now - tuning.time < TUNE_INTERVAL) return;
+  const rate = (sent - tuning.mark) / (now - tuning.time);
+  if (rate < tuning.rate * 0.9) tuning.step = -tuning.step;
+  tuning.rate = rate;
+  tuning.time = now;
+  tuning.mark = sent;
+  const size = tuning.step > 0 ? tuning.size * 2 : tuning.size / 2;
+  tuning.size = Math.min(maxChunkSize(session), Math.max(CHUNK_MIN, size));
+}
+
+// ===== BENCHMARK =====
+// BENCH_SIZE random bytes to push through the real send pipeline (framing,
+// sealing, hashing)
+function benchmarkFile() {
+  const block = new Uint8Array(BLOCK_SIZE);
+  // getRandomValues fills at most 64KB per call
+  for (let i = 0; i < block.length; i += 65536) {
+    crypto.getRandomValues(block.subarray(i, i + 65536));
+  }
+  return new File(Array(BENCH_SIZE / BLOCK_SIZE).fill(block), "benchmark.bin",
+    { type: "application/octet-stream" });
+}
+
+// ===== SINKS =====
+// Benchmark data is counted, verified and thrown away
+function discardSink() {
+  return {
+    kind: "discard",
+    write() {},
+    async close() { return null; },
+    abort() {}
+  };
+}
+
+// A peer-supplied path as safe segments: no "..", empty or reserved names
+function safePath(path) {
+  const parts = path.split("/")
+    .map(p => p.replace(/[\\:*?"<>|\x00-\x1f]/g, "_").trim())
+    .filter(p => p && p !== "." && p !== "..");
+  return parts.length ? parts : ["file"];
+}
+
+// ===== HELPERS =====
+function formatBytes(b) {
+  if (b < 1024) return b + " B";
+  if (b < 1024 ** 2) return (b / 1024).toFixed(1) + " KB";
+  if (b < 1024 ** 3) return (b / 1024 ** 2).toFixed(2) + " MB";
+  return (b / 1024 ** 3).toFixed(2) + " GB";
+}
+
+function makeId() {
+  return crypto.randomUUID?.() ||
+    Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+async function digestParts(parts) {
+  const buf = await new Blob(parts).arrayBuffer();
+  const hash = await crypto.subtle.digest("SHA-256", buf);
+  return toHex(new Uint8Array(hash));
+}
+
+// Whole-file digest of a saved copy, read back a block at a time
+async function hashBlob(blob) {
+  const hasher = createSha256();
+  for (let offset = 0; offset < blob.size; offset += BLOCK_SIZE) {
+    hasher.update(await blob.slice(offset, offset + BLOCK_SIZE).arrayBuffer());
+  }
+  return hasher.digest();
+}
+
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// In the browser these are globals; cli/dropbeam.js requires them
+if (typeof module === "object") module.exports = { createEngine, safePath, formatBytes, makeId };
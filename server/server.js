@@ -0,0 +1,484 @@
+// DropBeam — server/server.js
+// Self-hostable signaling server that speaks the PeerJS protocol, plus a
+// static file server for the app itself, so the whole stack can run on-prem.
+// Also runs the opt-in presence channel for nearby device discovery.
+// No dependencies — plain Node.
+//
+//   node server/server.js
+//
+// Environment:
+//   PORT        listen port (default 9000)
+//   PEER_PATH   PeerJS path (default "/")
+//   PEER_KEY    PeerJS API key (default "peerjs")
+//   TLS_CERT, TLS_KEY  PEM files — serve HTTPS/WSS when both are set.
+//               Browsers only allow camera, WebCrypto and service workers on
+//               secure origins, so use TLS for anything beyond localhost.
+//   STATIC_DIR  directory served over HTTP, all of it (default: only the
+//               app's own files from the repo root)
+//   TRUST_PROXY set to 1 behind a reverse proxy, so presence groups devices
+//               by X-Forwarded-For instead of the proxy's address
+//
+// Point clients at it with ?signal=host:port (add &secure=0 without TLS),
+// the ⚙️ settings panel, or a config.json next to index.html.
+
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 9000;
+const PEER_PATH = (process.env.PEER_PATH || "/").replace(/\/?$/, "/");
+const PEER_KEY = process.env.PEER_KEY || "peerjs";
+const STATIC_DIR = path.resolve(process.env.STATIC_DIR || path.join(__dirname, ".."));
+const SERVE_ALL = !!process.env.STATIC_DIR;
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+
+// Clients that stay silent this long are dropped (PeerJS pings every 5s)
+const CLIENT_TIMEOUT = 60 * 1000;
+const VALID_ID = /^[A-Za-z0-9]+(?:[ _-][A-Za-z0-9]+)*$/;
+// Signaling messages are a few KB; a client sending a bigger frame or
+// message than this is disconnected
+const MAX_FRAME = 64 * 1024;
+
+// What the repo root serves by default: the app and its vendored scripts, not
+// the server's source, installed packages or anything else kept next to them
+const APP_FILES = new Set([
+  "index.html",
+  "style.css",
+  "app.js",
+  "engine.js",
+  "sha256.js",
+  "words.js",
+  "zip.js",
+  "sw.js",
+  "manifest.webmanifest",
+  "icon.svg",
+  "config.json"
+]);
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+// ===== STATE =====
+// id -> { id, token, ws, lastSeen }
+const clients = new Map();
+// id -> { id, name, emoji, network, ws } — devices that opted in to discovery
+const presence = new Map();
+
+// ===== WEBSOCKET =====
+// Just enough of RFC 6455 for PeerJS: text frames, ping/pong and close.
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function acceptWebSocket(req, socket, handlers) {
+  const accept = crypto.createHash("sha1")
+    .update(req.headers["sec-websocket-key"] + WS_GUID)
+    .digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", ""
+  ].join("\r\n"));
+
+  // Bytes not decoded yet. They're only joined once the frame they start
+  // can be complete, not on every chunk.
+  let chunks = [];
+  let buffered = 0;
+  let needed = 2;
+  let fragments = [];
+  let fragmentsSize = 0;
+  let closed = false;
+
+  const ws = {
+    send(text) {
+      if (!closed) socket.write(encodeFrame(0x1, Buffer.from(text)));
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+    }
+  };
+
+  // Close code 1009: message too big
+  const tooBig = () => {
+    closed = true;
+    socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xf1])));
+  };
+
+  socket.on("data", (data) => {
+    if (closed) return;
+    chunks.push(data);
+    buffered += data.length;
+    if (buffered < needed) return;
+    let buffer = Buffer.concat(chunks);
+    for (;;) {
+      const length = frameLength(buffer);
+      if (length > MAX_FRAME) {
+        tooBig();
+        return;
+      }
+      if (length === null || buffer.length < length) {
+        needed = length || buffer.length + 1;
+        break;
+      }
+      const frame = decodeFrame(buffer);
+      buffer = buffer.subarray(length);
+      if (frame.opcode === 0x8) {
+        ws.close();
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(0xa, frame.payload));
+        continue;
+      }
+      if (frame.opcode === 0xa) continue;
+      fragments.push(frame.payload);
+      fragmentsSize += frame.payload.length;
+      if (fragmentsSize > MAX_FRAME) {
+        tooBig();
+        return;
+      }
+      if (!frame.fin) continue;
+      const message = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      fragmentsSize = 0;
+      // A message the server chokes on ends its own connection, not the server
+      try {
+        handlers.message(message);
+      } catch (err) {
+        console.warn("Closing a connection after a bad message:", err.message);
+        ws.close();
+      }
+      if (closed) return;
+    }
+    chunks = [buffer];
+    buffered = buffer.length;
+  });
+
+  const onClose = () => {
+    if (closed && !socket.destroyed) socket.destroy();
+    closed = true;
+    handlers.close();
+  };
+  socket.once("close", onClose);
+  socket.on("error", () => socket.destroy());
+  return ws;
+}
+
+// Length of the whole frame at the start of `buf`, or null until its
+// header is in
+function frameLength(buf) {
+  if (buf.length < 2) return null;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    len = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  return offset + (buf[1] & 0x80 ? 4 : 0) + len;
+}
+
+function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    len = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buf.length < offset + len) return null;
+
+  const payload = Buffer.from(buf.subarray(offset, offset + len));
+  if (masked) {
+    for (let i = 0; i < len; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, length: offset + len };
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// ===== PEERJS SIGNALING =====
+// Clients connect to `${PEER_PATH}peerjs?key=&id=&token=`, receive OPEN, and
+// then exchange OFFER/ANSWER/CANDIDATE/LEAVE messages addressed by `dst`,
+// which we relay with the sender filled in as `src`.
+function handleSignalingSocket(req, socket, url) {
+  const key = url.searchParams.get("key");
+  const id = url.searchParams.get("id");
+  const token = url.searchParams.get("token");
+
+  const reject = (type, msg) => {
+    const ws = acceptWebSocket(req, socket, { message() {}, close() {} });
+    ws.send(JSON.stringify({ type, payload: { msg } }));
+    ws.close();
+  };
+  if (key !== PEER_KEY) return reject("ERROR", "Invalid key provided");
+  if (!id || !token || !VALID_ID.test(id)) return reject("ERROR", "No id, token, or key supplied to websocket server");
+
+  const existing = clients.get(id);
+  if (existing && existing.token !== token) return reject("ID-TAKEN", "ID is taken");
+
+  const client = { id, token, ws: null, lastSeen: Date.now() };
+  client.ws = acceptWebSocket(req, socket, {
+    message: (text) => onSignalingMessage(client, text),
+    close: () => {
+      if (clients.get(id) === client) clients.delete(id);
+    }
+  });
+  existing?.ws.close();
+  clients.set(id, client);
+  client.ws.send(JSON.stringify({ type: "OPEN" }));
+}
+
+function onSignalingMessage(client, text) {
+  client.lastSeen = Date.now();
+  let msg;
+  try { msg = JSON.parse(text); } catch { return; }
+  if (!msg || typeof msg !== "object") return;
+
+  switch (msg.type) {
+    case "HEARTBEAT":
+      break;
+
+    case "OFFER":
+    case "ANSWER":
+    case "CANDIDATE":
+    case "LEAVE":
+    case "EXPIRE": {
+      const target = clients.get(msg.dst);
+      if (target) {
+        target.ws.send(JSON.stringify({ ...msg, src: client.id }));
+      } else if (msg.type !== "LEAVE" && msg.type !== "EXPIRE") {
+        // Lets the dialer fail fast with "peer-unavailable"
+        client.ws.send(JSON.stringify({ type: "EXPIRE", src: msg.dst, dst: client.id }));
+      }
+      break;
+    }
+  }
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - CLIENT_TIMEOUT;
+  clients.forEach((client, id) => {
+    if (client.lastSeen >= cutoff) return;
+    clients.delete(id);
+    client.ws.close();
+  });
+}, CLIENT_TIMEOUT / 2).unref();
+
+// ===== PRESENCE =====
+// Clients that opted in connect to `${PEER_PATH}presence?key=&id=&token=`
+// with the ID and token of their signaling connection, so nobody can
+// announce someone else's ID. Each is shown to the others on the same
+// network:
+//   -> { type: "announce", name, emoji }
+//   <- { type: "nearby", devices: [{ id, name, emoji }] } on every change
+//   -> { type: "knock", to }               <- { type: "knock", from }
+//   -> { type: "knock-reply", to, accepted } <- { type: "knock-reply", from, accepted }
+function handlePresenceSocket(req, socket, url) {
+  const id = url.searchParams.get("id");
+  const token = url.searchParams.get("token");
+  const signaling = clients.get(id);
+  if (url.searchParams.get("key") !== PEER_KEY || !signaling || signaling.token !== token) {
+    const ws = acceptWebSocket(req, socket, { message() {}, close() {} });
+    ws.send(JSON.stringify({ type: "ERROR", payload: { msg: "Not connected to signaling" } }));
+    ws.close();
+    return;
+  }
+
+  const device = { id, name: "", emoji: "", network: networkOf(req), ws: null };
+  device.ws = acceptWebSocket(req, socket, {
+    message: (text) => onPresenceMessage(device, text),
+    close: () => {
+      if (presence.get(id) !== device) return;
+      presence.delete(id);
+      broadcastNearby(device.network);
+    }
+  });
+  const existing = presence.get(id);
+  presence.set(id, device);
+  existing?.ws.close();
+}
+
+function onPresenceMessage(device, text) {
+  let msg;
+  try { msg = JSON.parse(text); } catch { return; }
+  if (!msg || typeof msg !== "object") return;
+  const send = (target, data) => target.ws.send(JSON.stringify(data));
+
+  switch (msg.type) {
+    case "announce": {
+      const network = device.network;
+      device.name = String(msg.name || "").slice(0, 24);
+      device.emoji = String(msg.emoji || "").slice(0, 8);
+      broadcastNearby(network);
+      break;
+    }
+
+    case "knock":
+    case "knock-reply": {
+      const target = presence.get(msg.to);
+      if (target?.network === device.network && target.name) {
+        send(target, msg.type === "knock"
+          ? { type: "knock", from: { id: device.id, name: device.name, emoji: device.emoji } }
+          : { type: "knock-reply", from: device.id, accepted: !!msg.accepted });
+      } else if (msg.type === "knock") {
+        send(device, { type: "knock-reply", from: msg.to, accepted: false });
+      }
+      break;
+    }
+  }
+}
+
+function broadcastNearby(network) {
+  const group = [...presence.values()].filter(d => d.network === network && d.name);
+  group.forEach(device => {
+    device.ws.send(JSON.stringify({
+      type: "nearby",
+      devices: group
+        .filter(d => d !== device)
+        .map(({ id, name, emoji }) => ({ id, name, emoji }))
+    }));
+  });
+}
+
+// Devices behind the same NAT share a public IPv4 address or IPv6 /64.
+// Private addresses only reach us when the server itself is on the LAN, so
+// those all count as one network.
+function networkOf(req) {
+  const forwarded = TRUST_PROXY && req.headers["x-forwarded-for"];
+  let ip = (forwarded ? forwarded.split(",")[0] : req.socket.remoteAddress || "").trim();
+  ip = ip.replace(/^::ffff:/, "");
+  if (/^(10\.|127\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(ip) ||
+      /^(::1$|f[cd]|fe80:)/i.test(ip)) {
+    return "lan";
+  }
+  if (!ip.includes(":")) return ip;
+  const [head, tail = ""] = ip.split("::");
+  const start = head ? head.split(":") : [];
+  const end = tail ? tail.split(":") : [];
+  const groups = [...start, ...Array(8 - start.length - end.length).fill("0"), ...end];
+  return groups.slice(0, 4).join(":");
+}
+
+// ===== HTTP =====
+function handleRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+
+  // PeerJS asks the server for a fresh ID when none was chosen
+  if (url.pathname === `${PEER_PATH}${PEER_KEY}/id`) {
+    let id;
+    do { id = crypto.randomUUID(); } while (clients.has(id));
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(id);
+    return;
+  }
+  if (url.pathname === `${PEER_PATH}${PEER_KEY}/peers`) {
+    res.writeHead(401);
+    res.end();
+    return;
+  }
+  serveStatic(url.pathname, res);
+}
+
+function serveStatic(pathname, res) {
+  let rel;
+  try { rel = decodeURIComponent(pathname); } catch { rel = "/"; }
+  if (rel.endsWith("/")) rel += "index.html";
+  const file = path.join(STATIC_DIR, path.normalize(rel));
+  if (!file.startsWith(STATIC_DIR + path.sep) || /\/\./.test(rel)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  if (!SERVE_ALL && !isAppFile(path.relative(STATIC_DIR, file).split(path.sep).join("/"))) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream"
+    });
+    res.end(data);
+  });
+}
+
+function isAppFile(name) {
+  return APP_FILES.has(name) || /^vendor\/[^/]+\.js$/.test(name);
+}
+
+function handleUpgrade(req, socket) {
+  const url = new URL(req.url, "http://localhost");
+  const isWebSocket = (req.headers.upgrade || "").toLowerCase() === "websocket";
+  if (isWebSocket && url.pathname === `${PEER_PATH}peerjs`) {
+    handleSignalingSocket(req, socket, url);
+  } else if (isWebSocket && url.pathname === `${PEER_PATH}presence`) {
+    handlePresenceSocket(req, socket, url);
+  } else {
+    socket.destroy();
+  }
+}
+
+// ===== START =====
+const tls = process.env.TLS_CERT && process.env.TLS_KEY;
+const server = tls
+  ? https.createServer({
+    cert: fs.readFileSync(process.env.TLS_CERT),
+    key: fs.readFileSync(process.env.TLS_KEY)
+  }, handleRequest)
+  : http.createServer(handleRequest);
+
+server.on("upgrade", handleUpgrade);
+server.listen(PORT, () => {
+  console.log(`DropBeam server on ${tls ? "https" : "http"}://localhost:${PORT}`);
+  console.log(`PeerJS signaling at path ${PEER_PATH} (key "${PEER_KEY}")`);
+});
@@ -0,0 +1,99 @@
+// DropBeam — sha256.js
+// Incremental SHA-256. WebCrypto only hashes a whole buffer at once, which
+// would mean holding the entire file in memory; this one is fed chunk by chunk.
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const SHA256_INIT = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+  0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+const ror = (x, n) => (x >>> n) | (x << (32 - n));
+
+// Runs one 64-byte block at `off` through the compression function into `h`
+function sha256Compress(h, w, bytes, off) {
+  for (let i = 0; i < 16; i++) {
+    const j = off + i * 4;
+    w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+  }
+  for (let i = 16; i < 64; i++) {
+    const a = w[i - 15], b = w[i - 2];
+    const s0 = ror(a, 7) ^ ror(a, 18) ^ (a >>> 3);
+    const s1 = ror(b, 17) ^ ror(b, 19) ^ (b >>> 10);
+    w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+  }
+
+  let [a, b, c, d, e, f, g, hh] = h;
+  for (let i = 0; i < 64; i++) {
+    const t1 = (hh + (ror(e, 6) ^ ror(e, 11) ^ ror(e, 25)) +
+      ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+    const t2 = ((ror(a, 2) ^ ror(a, 13) ^ ror(a, 22)) +
+      ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    hh = g; g = f; f = e; e = (d + t1) | 0;
+    d = c; c = b; b = a; a = (t1 + t2) | 0;
+  }
+  h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+  h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+}
+
+// update(ArrayBuffer | Uint8Array) can be called any number of times;
+// digest() returns the hex hash so far without ending the stream, and
+// clone() snapshots the state (used to rewind on resume).
+function createSha256(from) {
+  const h = new Uint32Array(from ? from.h : SHA256_INIT);
+  const buf = new Uint8Array(64);
+  const w = new Uint32Array(64);
+  let bufLen = from ? from.bufLen : 0;
+  let total = from ? from.total : 0;
+  if (from) buf.set(from.buf);
+
+  return {
+    update(data) {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      total += bytes.length;
+      let i = 0;
+      if (bufLen) {
+        i = Math.min(64 - bufLen, bytes.length);
+        buf.set(bytes.subarray(0, i), bufLen);
+        bufLen += i;
+        if (bufLen < 64) return this;
+        sha256Compress(h, w, buf, 0);
+        bufLen = 0;
+      }
+      for (; i + 64 <= bytes.length; i += 64) sha256Compress(h, w, bytes, i);
+      buf.set(bytes.subarray(i));
+      bufLen = bytes.length - i;
+      return this;
+    },
+
+    digest() {
+      const out = h.slice();
+      const tail = new Uint8Array(bufLen < 56 ? 64 : 128);
+      tail.set(buf.subarray(0, bufLen));
+      tail[bufLen] = 0x80;
+      const bits = total * 8;
+      const view = new DataView(tail.buffer);
+      view.setUint32(tail.length - 8, Math.floor(bits / 2 ** 32));
+      view.setUint32(tail.length - 4, bits >>> 0);
+      for (let off = 0; off < tail.length; off += 64) sha256Compress(out, w, tail, off);
+      return [...out].map(x => x.toString(16).padStart(8, "0")).join("");
+    },
+
+    clone() {
+      return createSha256({ h, buf, bufLen, total });
+    }
+  };
+}
+
+// The command-line peer (cli/dropbeam.js) requires this file in Node
+if (typeof module === "object") module.exports = { createSha256 };
@@ -0,0 +1,154 @@
+// DropBeam — sw.js
+// Service worker: turns chunks posted from the page into a streamed download,
+// keeps the app shell and its libraries cached for offline/LAN-only use, and
+// receives files shared to the installed app.
+
+// Bump on every release so clients drop the old shell
+const CACHE = "dropbeam-v4";
+const SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "app.js",
+  "sha256.js",
+  "words.js",
+  "zip.js",
+  "engine.js",
+  "manifest.webmanifest",
+  "icon.svg",
+  // The <script> tags in index.html, plus pdf.js's worker
+  "vendor/peerjs-1.5.4.min.js",
+  "vendor/qrcode-1.0.0.min.js",
+  "vendor/jsQR-1.4.0.js",
+  "vendor/pdf-3.11.174.min.js",
+  "vendor/pdf.worker-3.11.174.min.js"
+];
+
+// url -> { stream, name, size, mime }
+const downloads = new Map();
+// share ID -> { files, title, text, url }, until the page picks it up
+const shares = new Map();
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(caches.open(CACHE)
+    .then(cache => cache.addAll(SHELL))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// ===== STREAM DOWNLOADS =====
+// The page posts { type: "stream-download", url, ... } with a MessagePort,
+// then feeds ArrayBuffer chunks through it and finishes with "end". It only
+// sends a chunk for each "pull", so a slow download holds the transfer back
+// instead of queueing up here.
+self.addEventListener("message", (e) => {
+  if (e.data?.type !== "stream-download") return;
+  const { url, name, size, mime } = e.data;
+  const port = e.ports[0];
+
+  let pulled = null;
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data === "end") controller.close();
+        else if (data === "abort") controller.error(new Error("Transfer aborted"));
+        else controller.enqueue(new Uint8Array(data));
+        pulled?.();
+      };
+    },
+    pull() {
+      port.postMessage("pull");
+      return new Promise(resolve => { pulled = resolve; });
+    },
+    cancel() {
+      downloads.delete(url);
+      port.postMessage("cancel");
+    }
+  }, { highWaterMark: 16 });
+
+  downloads.set(url, { stream, name, size, mime });
+  port.postMessage("ready");
+});
+
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (downloads.has(e.request.url)) {
+    e.respondWith(streamDownload(e.request.url));
+  } else if (e.request.method === "POST" && url.href === new URL("share-target", self.registration.scope).href) {
+    e.respondWith(receiveShare(e.request));
+  } else if (e.request.method !== "GET") {
+    return;
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (url.pathname.includes("/vendor/")) {
+    e.respondWith(cacheFirst(e.request));
+  } else {
+    e.respondWith(networkFirst(e.request));
+  }
+});
+
+function streamDownload(url) {
+  const dl = downloads.get(url);
+  downloads.delete(url);
+
+  const headers = {
+    "Content-Type": dl.mime || "application/octet-stream",
+    "Content-Disposition":
+      `attachment; filename*=UTF-8''${encodeURIComponent(dl.name)}`
+  };
+  // Unknown for archives built on the fly
+  if (dl.size != null) headers["Content-Length"] = String(dl.size);
+  return new Response(dl.stream, { headers });
+}
+
+// ===== OFFLINE =====
+// Libraries are versioned in their URLs, so a cached copy is always right
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(CACHE)).put(request, res.clone());
+  return res;
+}
+
+// The app's own files come fresh whenever the server is reachable, so both
+// ends of a transfer run the same version; the cache is only the fallback
+async function networkFirst(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(CACHE)).put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// ===== SHARE TARGET =====
+// "Share → DropBeam" POSTs the files here (see share_target in
+// manifest.webmanifest). They're held until the page we redirect to asks
+// for them with { type: "share-fetch", id } and a MessagePort.
+async function receiveShare(request) {
+  const form = await request.formData();
+  const id = crypto.randomUUID();
+  shares.set(id, {
+    files: form.getAll("files").filter(f => f instanceof File),
+    title: form.get("title") || "",
+    text: form.get("text") || "",
+    url: form.get("url") || ""
+  });
+  return Response.redirect(new URL(`./?share=${id}`, self.registration.scope).href, 303);
+}
+
+self.addEventListener("message", (e) => {
+  if (e.data?.type !== "share-fetch") return;
+  const share = shares.get(e.data.id) || null;
+  shares.delete(e.data.id);
+  e.ports[0].postMessage(share);
+});
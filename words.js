@@ -0,0 +1,65 @@
+// DropBeam — words.js
+// Word lists for codes people read to each other. Keep them stable: both
+// devices must agree on every entry and its position.
+
+// Short, common, easy-to-say words for spoken room codes. 256 entries, so
+// each word is worth 8 bits.
+
+const ROOM_WORDS = [
+  "acorn", "actor", "agent", "album", "alley", "amber", "anchor", "angel",
+  "apple", "apron", "arrow", "aspen", "atlas", "attic", "badge", "bagel",
+  "baker", "bamboo", "banjo", "barn", "basil", "beach", "beacon", "bean",
+  "bear", "beaver", "bell", "berry", "bike", "bird", "bison", "blade",
+  "blanket", "bloom", "boat", "bolt", "bone", "book", "boot", "bottle",
+  "bread", "brick", "bridge", "brook", "brush", "bucket", "bugle", "button",
+  "cabin", "cable", "cactus", "camel", "camera", "candle", "canoe", "canyon",
+  "carpet", "carrot", "castle", "cedar", "chair", "chalk", "cherry", "chess",
+  "circle", "clock", "cloud", "clover", "coast", "cobra", "comet", "coral",
+  "cotton", "cowboy", "crane", "crayon", "cricket", "crown", "cup", "daisy",
+  "delta", "desert", "diamond", "dice", "dinner", "dolphin", "donkey", "door",
+  "dragon", "drum", "duck", "eagle", "earth", "easel", "echo", "elbow",
+  "elephant", "elm", "ember", "engine", "falcon", "feather", "fence", "fern",
+  "fiddle", "finch", "flag", "flute", "forest", "fossil", "fox", "frog",
+  "garden", "garlic", "gecko", "ginger", "giraffe", "glacier", "glove", "goat",
+  "grape", "guitar", "hammer", "harbor", "harp", "hazel", "helmet", "heron",
+  "hill", "honey", "horse", "igloo", "island", "ivory", "jacket", "jaguar",
+  "jelly", "jewel", "juice", "kayak", "kettle", "kite", "kiwi", "koala",
+  "ladder", "lake", "lamp", "lantern", "lemon", "lily", "lion", "lizard",
+  "llama", "lobster", "maple", "marble", "meadow", "melon", "mango", "mirror",
+  "mitten", "monkey", "moon", "moose", "mountain", "mouse", "muffin", "nest",
+  "noodle", "oak", "ocean", "olive", "onion", "orange", "orbit", "otter",
+  "owl", "paddle", "panda", "paper", "parrot", "peach", "peanut", "pearl",
+  "pebble", "pencil", "penguin", "pepper", "piano", "pickle", "pillow", "pine",
+  "pirate", "planet", "plum", "pocket", "pony", "potato", "pumpkin", "puzzle",
+  "quilt", "rabbit", "radio", "raven", "ribbon", "river", "robot", "rocket",
+  "rose", "ruby", "saddle", "salmon", "sandal", "shell", "silver", "sketch",
+  "sled", "snail", "socket", "spider", "spoon", "squid", "star", "stone",
+  "storm", "sugar", "summit", "sunset", "swan", "table", "tiger", "toast",
+  "tomato", "tortoise", "tower", "tractor", "train", "tulip", "tunnel", "turtle",
+  "umbrella", "valley", "velvet", "violin", "volcano", "wagon", "walnut", "walrus",
+  "whale", "whistle", "willow", "window", "winter", "wizard", "zebra", "zipper",
+];
+
+// Emoji with a name to say aloud, for connection verification codes.
+// 64 entries, so each symbol is worth 6 bits.
+const VERIFY_SYMBOLS = [
+  ["🐶", "dog"], ["🐱", "cat"], ["🐭", "mouse"], ["🐰", "rabbit"],
+  ["🦊", "fox"], ["🐻", "bear"], ["🐼", "panda"], ["🐨", "koala"],
+  ["🐯", "tiger"], ["🦁", "lion"], ["🐮", "cow"], ["🐷", "pig"],
+  ["🐸", "frog"], ["🐵", "monkey"], ["🐔", "chicken"], ["🐧", "penguin"],
+  ["🐦", "bird"], ["🦉", "owl"], ["🐴", "horse"], ["🦄", "unicorn"],
+  ["🐝", "bee"], ["🐛", "bug"], ["🦋", "butterfly"], ["🐌", "snail"],
+  ["🐢", "turtle"], ["🐍", "snake"], ["🐙", "octopus"], ["🦀", "crab"],
+  ["🐟", "fish"], ["🐬", "dolphin"], ["🐳", "whale"], ["🦒", "giraffe"],
+  ["🍎", "apple"], ["🍌", "banana"], ["🍇", "grapes"], ["🍓", "strawberry"],
+  ["🍒", "cherry"], ["🍋", "lemon"], ["🍉", "melon"], ["🥕", "carrot"],
+  ["🌽", "corn"], ["🍄", "mushroom"], ["🍕", "pizza"], ["🍩", "donut"],
+  ["🎂", "cake"], ["☕", "coffee"], ["🌵", "cactus"], ["🌻", "sunflower"],
+  ["🌲", "tree"], ["🍀", "clover"], ["⭐", "star"], ["🌙", "moon"],
+  ["☀️", "sun"], ["⚡", "lightning"], ["❄️", "snowflake"], ["🔥", "fire"],
+  ["🚀", "rocket"], ["🚲", "bicycle"], ["⚓", "anchor"], ["🔑", "key"],
+  ["🎈", "balloon"], ["🎸", "guitar"], ["⚽", "ball"], ["👑", "crown"],
+];
+
+// The command-line peer (cli/dropbeam.js) requires this file in Node
+if (typeof module === "object") module.exports = { ROOM_WORDS, VERIFY_SYMBOLS };
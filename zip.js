@@ -0,0 +1,133 @@
+// DropBeam — zip.js
+// Streaming ZIP writer (stored, no compression). Entries are written as they
+// arrive, with sizes and CRC in a trailing data descriptor, so nothing has to
+// be buffered. Classic ZIP only: archives must stay under 4GB and 65535 entries.
+
+const ZIP_LIMIT = 0xffffffff;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, bytes) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// MS-DOS date/time, as ZIP headers want it
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// `emit(Uint8Array)` receives the archive bytes in order; an entry's write()
+// hands back whatever emit returns, so it can be waited on. add(name) opens the
+// next entry; only one entry is open at a time. An aborted entry's bytes stay
+// in the stream but it is left out of the central directory, so unzip tools
+// never see it.
+function createZipWriter(emit) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+  let open = null;
+
+  const out = (bytes) => {
+    offset += bytes.length;
+    return emit(bytes);
+  };
+
+  return {
+    add(name) {
+      open?.abort();
+      const nameBytes = encoder.encode(name);
+      const { time, date } = dosDateTime(new Date());
+      const entry = { nameBytes, time, date, offset, crc: 0, size: 0, done: false };
+
+      const header = new Uint8Array(30 + nameBytes.length);
+      const v = new DataView(header.buffer);
+      v.setUint32(0, 0x04034b50, true);
+      v.setUint16(4, 20, true);
+      v.setUint16(6, 0x0808, true); // data descriptor follows, UTF-8 name
+      v.setUint16(10, time, true);
+      v.setUint16(12, date, true);
+      v.setUint16(26, nameBytes.length, true);
+      header.set(nameBytes, 30);
+      out(header);
+
+      const finish = (keep) => {
+        if (entry.done) return;
+        entry.done = true;
+        open = null;
+        const desc = new Uint8Array(16);
+        const d = new DataView(desc.buffer);
+        d.setUint32(0, 0x08074b50, true);
+        d.setUint32(4, entry.crc, true);
+        d.setUint32(8, entry.size, true);
+        d.setUint32(12, entry.size, true);
+        out(desc);
+        if (keep) entries.push(entry);
+      };
+
+      open = {
+        write(chunk) {
+          const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+          entry.crc = crc32Update(entry.crc, bytes);
+          entry.size += bytes.length;
+          return out(bytes);
+        },
+        close() { finish(true); },
+        abort() { finish(false); }
+      };
+      return open;
+    },
+
+    // Writes the central directory; the archive is complete after this
+    finish() {
+      open?.abort();
+      const start = offset;
+      for (const e of entries) {
+        const rec = new Uint8Array(46 + e.nameBytes.length);
+        const v = new DataView(rec.buffer);
+        v.setUint32(0, 0x02014b50, true);
+        v.setUint16(4, 20, true);
+        v.setUint16(6, 20, true);
+        v.setUint16(8, 0x0808, true);
+        v.setUint16(12, e.time, true);
+        v.setUint16(14, e.date, true);
+        v.setUint32(16, e.crc, true);
+        v.setUint32(20, e.size, true);
+        v.setUint32(24, e.size, true);
+        v.setUint16(28, e.nameBytes.length, true);
+        v.setUint32(42, e.offset, true);
+        rec.set(e.nameBytes, 46);
+        out(rec);
+      }
+      const end = new Uint8Array(22);
+      const v = new DataView(end.buffer);
+      v.setUint32(0, 0x06054b50, true);
+      v.setUint16(8, entries.length, true);
+      v.setUint16(10, entries.length, true);
+      v.setUint32(12, offset - start, true);
+      v.setUint32(16, start, true);
+      out(end);
+    }
+  };
+}
+
+// Final archive size for [{ name, size }], to check it against ZIP_LIMIT
+function zipArchiveSize(files) {
+  const encoder = new TextEncoder();
+  return files.reduce((sum, f) => {
+    const nameLen = encoder.encode(f.name).length;
+    return sum + 30 + nameLen + f.size + 16 + 46 + nameLen;
+  }, 22);
+}